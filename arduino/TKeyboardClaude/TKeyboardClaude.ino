@@ -19,6 +19,8 @@
 #include <AnimatedGIF.h>
 #include <vector>
 #include <esp_task_wdt.h>
+#include <esp_rom_crc.h>
+#include <mbedtls/base64.h>
 
 // Hardware Pin Definitions (from T-Keyboard-S3 specs)
 #define KEY1_PIN 10
@@ -50,6 +52,8 @@
 #define WEBSOCKET_RECONNECT_INTERVAL 5000
 #define WEBSOCKET_PING_INTERVAL 30000
 #define WDT_TIMEOUT 30
+#define LONG_PRESS_MS 800   // Holding a key this long is a long press (key 1: switch Claude session)
+#define DOUBLE_TAP_MS 300   // A second tap within this is a double tap
 
 // SPIFFS Configuration
 #define IMAGE_CACHE_PATH "/images/"
@@ -93,12 +97,23 @@ struct SystemState {
     unsigned long keyDebounce[4] = {0, 0, 0, 0};
 } state;
 
+// Keys with gestures are reported on release (or when the gesture is recognized) rather than on press
+struct KeyGesture {
+    unsigned long downAt = 0;  // Held since (0 = not waiting for release)
+    unsigned long tapAt = 0;   // First tap waiting to see if a second one follows
+    bool reported = false;     // Long press or chord already sent - ignore the release
+};
+KeyGesture keyGestures[4];
+
 struct KeyOption {
     String text;        // Display text (label shown on button)
     String action;      // Action text (what gets sent when pressed) - if empty, uses text
     String imagePath;   // Image filename (e.g., "stop.rgb")
     uint32_t color;     // Button background color
     bool hasImage;      // Whether an image should be displayed
+    bool longPress;     // Gestures the server wants reported for this key
+    bool doubleTap;
+    bool chord;
 };
 
 KeyOption currentOptions[4];
@@ -116,6 +131,9 @@ bool initializeGIF(const String& path, uint8_t displayIndex);
 void advanceGIFFrame();
 void stopGIF();
 bool downloadImageHTTP(const String& imagePath, const String& serverHost, uint16_t serverPort);
+void receiveImageChunk(JsonDocument& doc);
+void answerImageQuery(JsonDocument& doc);
+uint32_t fileCrc32(const String& fullPath);
 void ensureSPIFFSSpace(size_t requiredBytes);
 void deleteRandomImage();
 void disableWatchdog();
@@ -358,6 +376,10 @@ void enterConfigMode();
 void handleWebSocketEvent(WStype_t type, uint8_t* payload, size_t length);
 void processClaudeMessage(JsonDocument& doc);
 void sendKeyPress(int key);
+void sendGesture(const char* gesture, int key);
+void sendChord(int keyA, int keyB);
+bool hasGestures(int key);
+void checkGestures();
 bool loadImageFromSPIFFS(const String& path, uint8_t display);
 void drawTextOption(uint8_t displayIndex, const String& text, uint32_t color);
 void drawLargeText(uint8_t displayIndex, const String& text, uint32_t color);
@@ -368,6 +390,7 @@ void handleSerialCommands();
 
 // Interrupt handlers
 volatile bool keyInterrupts[4] = {false, false, false, false};
+const uint8_t KEY_PINS[4] = {KEY1_PIN, KEY2_PIN, KEY3_PIN, KEY4_PIN};
 
 void IRAM_ATTR key1ISR() { keyInterrupts[0] = true; }
 void IRAM_ATTR key2ISR() { keyInterrupts[1] = true; }
@@ -525,6 +548,7 @@ void loop() {
             }
         }
     }
+    checkGestures();
 
     // WebSocket handling
     if (WiFi.status() == WL_CONNECTED) {
@@ -980,6 +1004,15 @@ void processClaudeMessage(JsonDocument& doc) {
             currentOptions[i].imagePath = options[i]["image"].as<String>();
             currentOptions[i].color = strtoul(options[i]["color"].as<String>().substring(1).c_str(), NULL, 16);
             currentOptions[i].hasImage = currentOptions[i].imagePath.length() > 0;
+            currentOptions[i].longPress = false;
+            currentOptions[i].doubleTap = false;
+            currentOptions[i].chord = false;
+            for (JsonVariant gesture : options[i]["gestures"].as<JsonArray>()) {
+                String name = gesture.as<String>();
+                if (name == "long_press") currentOptions[i].longPress = true;
+                else if (name == "double_tap") currentOptions[i].doubleTap = true;
+                else if (name == "chord") currentOptions[i].chord = true;
+            }
 
             // If no action specified, use display text as action
             if (currentOptions[i].action.length() == 0) {
@@ -1054,18 +1087,12 @@ void processClaudeMessage(JsonDocument& doc) {
 
     } else if (type == "image") {
         Serial.println("[DEBUG] Handler: image");
-        // Handle image data transfer
-        String name = doc["name"];
-        String data = doc["data"];  // Base64 encoded
-
-        // Save to SPIFFS
-        File file = SPIFFS.open(IMAGE_CACHE_PATH + name, FILE_WRITE);
-        if (file) {
-            // Decode base64 and write
-            // Implementation needed for base64 decoding
-            file.close();
-            Serial.printf("Saved image: %s\n", name.c_str());
-        }
+        receiveImageChunk(doc);
+
+    } else if (type == "image_query") {
+        Serial.println("[DEBUG] Handler: image_query");
+        answerImageQuery(doc);
+
     } else {
         Serial.printf("[DEBUG] WARNING: Unknown message type: %s\n", type.c_str());
     }
@@ -1119,8 +1146,110 @@ void handleKeyPress(int key) {
         return;
     }
 
-    // Normal key press
-    sendKeyPress(key);
+    // Keys without gestures are sent right away
+    if (!hasGestures(key)) {
+        sendKeyPress(key);
+        return;
+    }
+
+    // Pressed while another chord key is held: report both as a chord
+    if (currentOptions[key - 1].chord) {
+        for (int i = 0; i < 4; i++) {
+            KeyGesture& other = keyGestures[i];
+            if (i != key - 1 && other.downAt != 0 && !other.reported && currentOptions[i].chord) {
+                other.reported = true;
+                other.tapAt = 0;
+                keyGestures[key - 1].downAt = millis();
+                keyGestures[key - 1].reported = true;
+                sendChord(i + 1, key);
+                return;
+            }
+        }
+    }
+
+    // Wait for release or hold - see checkGestures()
+    keyGestures[key - 1].downAt = millis();
+    keyGestures[key - 1].reported = false;
+}
+
+bool hasGestures(int key) {
+    const KeyOption& option = currentOptions[key - 1];
+    return option.longPress || option.doubleTap || option.chord;
+}
+
+// Resolve pending gesture keys: a hold is a long press, a release is a tap (or, on
+// double-tap keys, the first or second tap of a double tap)
+void checkGestures() {
+    unsigned long now = millis();
+
+    for (int i = 0; i < 4; i++) {
+        KeyGesture& gesture = keyGestures[i];
+
+        if (gesture.downAt != 0) {
+            if (digitalRead(KEY_PINS[i]) == HIGH) {
+                gesture.downAt = 0;
+                if (gesture.reported) continue;
+
+                if (!currentOptions[i].doubleTap) {
+                    sendKeyPress(i + 1);
+                } else if (gesture.tapAt != 0) {
+                    gesture.tapAt = 0;
+                    sendGesture("double_tap", i + 1);
+                } else {
+                    gesture.tapAt = now;
+                }
+            } else if (!gesture.reported && currentOptions[i].longPress && now - gesture.downAt >= LONG_PRESS_MS) {
+                gesture.reported = true;
+                gesture.tapAt = 0;
+                Serial.printf("Key %d held\n", i + 1);
+                sendGesture("long_press", i + 1);
+            }
+        } else if (gesture.tapAt != 0 && now - gesture.tapAt >= DOUBLE_TAP_MS) {
+            // No second tap - it was a single tap
+            gesture.tapAt = 0;
+            sendKeyPress(i + 1);
+        }
+    }
+}
+
+// Send a long_press or double_tap with the option's action, like key_press
+void sendGesture(const char* gesture, int key) {
+    if (!state.wsConnected) {
+        Serial.println("WebSocket not connected");
+        return;
+    }
+
+    JsonDocument doc;
+    doc["type"] = gesture;
+    doc["session_id"] = state.sessionId;
+    doc["key"] = key;
+    doc["text"] = currentOptions[key - 1].action;
+
+    String json;
+    serializeJson(doc, json);
+    webSocket.sendTXT(json);
+
+    Serial.printf("Sent %s on key %d\n", gesture, key);
+}
+
+void sendChord(int keyA, int keyB) {
+    if (!state.wsConnected) {
+        Serial.println("WebSocket not connected");
+        return;
+    }
+
+    JsonDocument doc;
+    doc["type"] = "chord";
+    doc["session_id"] = state.sessionId;
+    JsonArray keys = doc["keys"].to<JsonArray>();
+    keys.add(min(keyA, keyB));
+    keys.add(max(keyA, keyB));
+
+    String json;
+    serializeJson(doc, json);
+    webSocket.sendTXT(json);
+
+    Serial.printf("Sent chord %d+%d\n", min(keyA, keyB), max(keyA, keyB));
 }
 
 void sendKeyPress(int key) {
@@ -1488,6 +1617,117 @@ void ensureSPIFFSSpace(size_t requiredBytes) {
     Serial.printf("SPIFFS space ensured: %u bytes free\n", freeBytes);
 }
 
+// Receive one chunk of an image pushed over WebSocket and acknowledge it
+// Message: {"type":"image","name":...,"offset":N,"total":N,"final":bool,"data":<base64>}
+void receiveImageChunk(JsonDocument& doc) {
+    String name = doc["name"] | "";
+    size_t offset = doc["offset"] | 0;
+    size_t total = doc["total"] | 0;
+    bool final = doc["final"] | true;
+    const char* data = doc["data"] | "";
+
+    JsonDocument ack;
+    ack["type"] = "image_ack";
+    ack["name"] = name;
+    ack["ok"] = false;
+
+    String fullPath = IMAGE_CACHE_PATH + name;
+    size_t dataLen = strlen(data);
+    size_t decodedLen = 0;
+    uint8_t* decoded = (uint8_t*)malloc(dataLen * 3 / 4 + 4);
+
+    if (name.length() == 0 || name.indexOf('/') >= 0) {
+        ack["error"] = "invalid name";
+    } else if (!decoded) {
+        ack["error"] = "out of memory";
+    } else if (mbedtls_base64_decode(decoded, dataLen * 3 / 4 + 4, &decodedLen,
+                                     (const uint8_t*)data, dataLen) != 0) {
+        ack["error"] = "bad base64";
+    } else {
+        // First chunk truncates the file, later chunks append
+        if (offset == 0) {
+            ensureSPIFFSSpace(total);
+        }
+        File file = SPIFFS.open(fullPath, offset == 0 ? FILE_WRITE : FILE_APPEND);
+
+        if (!file) {
+            ack["error"] = "open failed";
+        } else if (file.size() != offset) {
+            ack["error"] = "offset mismatch";
+            file.close();
+        } else {
+            size_t written = file.write(decoded, decodedLen);
+            file.close();
+
+            if (written != decodedLen) {
+                ack["error"] = "write failed";
+            } else {
+                ack["ok"] = true;
+                ack["received"] = offset + decodedLen;
+                if (final) {
+                    ack["crc32"] = fileCrc32(fullPath);
+                    Serial.printf("[IMG] Received %s (%u bytes)\n", name.c_str(), offset + decodedLen);
+                }
+            }
+        }
+    }
+
+    free(decoded);
+
+    // Remove partial files so the server re-pushes from scratch
+    if (!(ack["ok"] | false)) {
+        SPIFFS.remove(fullPath);
+        Serial.printf("[IMG] ERROR: Failed to receive %s: %s\n", name.c_str(), ack["error"].as<const char*>());
+    }
+
+    String json;
+    serializeJson(ack, json);
+    webSocket.sendTXT(json);
+}
+
+// Report which of the requested images are cached, with size and CRC32
+// Reply: {"type":"image_manifest","files":[{"name":...,"size":N,"crc32":N}]}
+void answerImageQuery(JsonDocument& doc) {
+    JsonDocument reply;
+    reply["type"] = "image_manifest";
+    JsonArray files = reply["files"].to<JsonArray>();
+
+    for (JsonVariant nameVar : doc["names"].as<JsonArray>()) {
+        String name = nameVar.as<String>();
+        String fullPath = IMAGE_CACHE_PATH + name;
+        if (name.indexOf('/') >= 0 || !SPIFFS.exists(fullPath)) continue;
+
+        File file = SPIFFS.open(fullPath, FILE_READ);
+        size_t size = file ? file.size() : 0;
+        if (file) file.close();
+
+        JsonObject entry = files.add<JsonObject>();
+        entry["name"] = name;
+        entry["size"] = size;
+        entry["crc32"] = fileCrc32(fullPath);
+        feedWatchdog();
+    }
+
+    String json;
+    serializeJson(reply, json);
+    webSocket.sendTXT(json);
+}
+
+// CRC32 of a SPIFFS file (same algorithm as zlib / the server)
+uint32_t fileCrc32(const String& fullPath) {
+    File file = SPIFFS.open(fullPath, FILE_READ);
+    if (!file) return 0;
+
+    uint8_t buffer[512];
+    uint32_t crc = 0;
+    while (file.available()) {
+        size_t bytesRead = file.read(buffer, sizeof(buffer));
+        crc = esp_rom_crc32_le(crc, buffer, bytesRead);
+    }
+    file.close();
+    return crc;
+}
+
 // Download an image from bridge server HTTP API and cache in SPIFFS
 bool downloadImageHTTP(const String& imagePath, const String& serverHost, uint16_t serverPort) {
     HTTPClient http;
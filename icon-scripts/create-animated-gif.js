@@ -1,99 +1,282 @@
 #!/usr/bin/env node
 
 /**
- * Create animated GIF for T-Keyboard-S3
- * Generates a simple "thinking" animation with animated dots
+ * Create animated GIFs for T-Keyboard-S3
+ * Renders parameterized 128x128 animations: spinner, pulse, progress sweep, blink,
+ * scrolling marquee (for labels too long for a key) and the "Thinking" dots.
+ *
+ *   node create-animated-gif.js spinner --label "Building" --color "#00FFFF"
+ *   node create-animated-gif.js marquee --label "Running the integration tests" --delay 60
+ *
+ *   const { renderAnimation } = require('./create-animated-gif');
+ *   const buffer = renderAnimation({ type: 'animation', animation: 'pulse', label: 'Deploying' });
+ *
+ * The device streams the GIF from SPIFFS one frame per loop() pass (advanceGIFFrame), so
+ * every frame has to decode quickly: animations are kept under a byte budget by
+ * dropping frames (stretching the delay so a cycle takes as long).
  */
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
 const { createCanvas } = require('@napi-rs/canvas');
 const GIFEncoder = require('gifencoder');
+const { fitText } = require('./generate-images');
+const { CACHE_DIR, resolveIcon, recordIcon } = require('./icon-cache');
 
 // Configuration
 const IMAGE_SIZE = 128;
-const FRAME_COUNT = 3;
-const FRAME_DELAY = 400; // milliseconds
-const OUTPUT_DIR = path.join(__dirname, '../images/cache');
+const MIN_FRAME_DELAY = 50;     // The firmware's frame interval
+const MAX_FRAME_DELAY = 2000;
+const MAX_FRAMES = 48;
+const DEFAULT_MAX_BYTES = 64 * 1024;
+const DEFAULT_COLOR = '#FFD700';
 
-// Ensure output directory exists
-if (!fs.existsSync(OUTPUT_DIR)) {
-    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
-}
+// Label band under the spinner, pulse, sweep and dots
+const LABEL_AREA = { x: 6, y: 96, width: 116, height: 28 };
+const CENTER_Y = 50;
 
-// Generate hash from animation name
-function hashAnimation(name) {
-    return crypto.createHash('md5').update(name).digest('hex').substring(0, 8);
-}
+// Animation -> default frame count and delay (ms), and a function drawing one frame.
+// progress runs from 0 up to (not including) 1 over the cycle.
+const ANIMATIONS = {
+    spinner: {
+        frames: 12,
+        delay: 80,
+        draw(ctx, progress, spec) {
+            const start = progress * Math.PI * 2;
+            ctx.strokeStyle = spec.color;
+            ctx.lineWidth = 8;
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            ctx.arc(IMAGE_SIZE / 2, CENTER_Y, 28, start, start + Math.PI * 1.5);
+            ctx.stroke();
+            drawLabel(ctx, spec);
+        }
+    },
 
-// Get animation name from command line or default to 'thinking'
-const animationName = process.argv[2] || 'thinking-dots';
-const hash = hashAnimation(animationName);
-const filename = `icon-${hash}.gif`;
+    pulse: {
+        frames: 10,
+        delay: 100,
+        draw(ctx, progress, spec) {
+            // Grows and brightens, then shrinks and fades
+            const phase = (1 - Math.cos(progress * Math.PI * 2)) / 2;
+            ctx.globalAlpha = 0.35 + 0.65 * phase;
+            ctx.fillStyle = spec.color;
+            ctx.beginPath();
+            ctx.arc(IMAGE_SIZE / 2, CENTER_Y, 14 + 20 * phase, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            drawLabel(ctx, spec);
+        }
+    },
 
-// Create GIF encoder
-const encoder = new GIFEncoder(IMAGE_SIZE, IMAGE_SIZE);
-const outputPath = path.join(OUTPUT_DIR, filename);
-const stream = fs.createWriteStream(outputPath);
+    sweep: {
+        frames: 12,
+        delay: 80,
+        draw(ctx, progress, spec) {
+            // Indeterminate progress bar: a band sweeping through the outline
+            const barX = 10;
+            const barY = CENTER_Y - 12;
+            const barWidth = IMAGE_SIZE - 2 * barX;
+            const band = 36;
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(barX, barY, barWidth, 24);
 
-encoder.createReadStream().pipe(stream);
-encoder.start();
-encoder.setRepeat(0);   // 0 = loop forever
-encoder.setDelay(FRAME_DELAY);
-encoder.setQuality(10); // 1-20, lower is better
+            const left = barX + 3 - band + progress * (barWidth - 6 + band);
+            const from = Math.max(barX + 3, left);
+            const to = Math.min(barX + barWidth - 3, left + band);
+            ctx.fillStyle = spec.color;
+            if (to > from) ctx.fillRect(from, barY + 3, to - from, 18);
+            drawLabel(ctx, spec);
+        }
+    },
 
-console.log(`Generating animated GIF: ${filename} (${animationName})`);
-console.log(`Frames: ${FRAME_COUNT}, Delay: ${FRAME_DELAY}ms, Size: ${IMAGE_SIZE}x${IMAGE_SIZE}`);
+    blink: {
+        frames: 2,
+        delay: 500,
+        draw(ctx, progress, spec) {
+            // Label filling the key, shown and dimmed in turn
+            const area = { x: 8, y: 8, width: 112, height: 112 };
+            const { fontSize, lines } = fitText(ctx, spec.label || '', area, 40, 4);
+            ctx.globalAlpha = progress < 0.5 ? 1 : 0.2;
+            drawLines(ctx, lines, fontSize, area, spec.color);
+            ctx.globalAlpha = 1;
+        }
+    },
 
-// Generate frames
-for (let frame = 0; frame < FRAME_COUNT; frame++) {
-    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
-    const ctx = canvas.getContext('2d');
+    marquee: {
+        frames: 0,  // Enough to scroll the label through at MARQUEE_STEP px a frame
+        delay: 60,
+        draw(ctx, progress, spec) {
+            ctx.font = 'bold 40px Arial';
+            const width = ctx.measureText(spec.label || '').width;
+            ctx.fillStyle = spec.color;
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(spec.label || '', IMAGE_SIZE - progress * (IMAGE_SIZE + width), IMAGE_SIZE / 2);
+        }
+    },
 
-    // Black background
-    ctx.fillStyle = '#000000';
-    ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+    dots: {
+        frames: 3,
+        delay: 400,
+        draw(ctx, progress, spec, frame) {
+            // "Thinking" with one more dot each frame
+            const dotSpacing = 15;
+            ctx.fillStyle = spec.color;
+            for (let i = 0; i < 3; i++) {
+                if (i > frame % 3) continue;
+                ctx.beginPath();
+                ctx.arc(IMAGE_SIZE / 2 - dotSpacing + i * dotSpacing, CENTER_Y + 10, 4, 0, Math.PI * 2);
+                ctx.fill();
+            }
+            drawLabel(ctx, { ...spec, label: spec.label === undefined ? 'Thinking' : spec.label });
+        }
+    }
+};
+const MARQUEE_STEP = 8;
+
+function drawLabel(ctx, spec) {
+    if (!spec.label) return;
+    const { fontSize, lines } = fitText(ctx, spec.label, LABEL_AREA, 20, 1);
+    drawLines(ctx, lines, fontSize, LABEL_AREA, spec.labelColor || '#FFFFFF');
+}
 
-    // Draw "thinking" text
-    ctx.fillStyle = '#FFD700'; // Gold color
-    ctx.font = 'bold 24px Arial';
+function drawLines(ctx, lines, fontSize, area, color) {
+    const lineHeight = fontSize * 1.15;
+    const top = area.y + (area.height - lines.length * lineHeight) / 2 + lineHeight / 2;
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillStyle = color;
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText('Thinking', IMAGE_SIZE / 2, IMAGE_SIZE / 2 - 20);
+    lines.forEach((line, index) => ctx.fillText(line, IMAGE_SIZE / 2, top + index * lineHeight));
+}
 
-    // Draw animated dots
-    const center = IMAGE_SIZE / 2;
-    const dotY = center + 15;
-    const dotSpacing = 15;
-    const dotRadius = 4;
+/**
+ * Fill in an animation spec's defaults and check it
+ * @param spec {type: 'animation', animation, label?, color?, labelColor?, background?, frames?, delay?, maxBytes?}
+ * @throws Error for an unknown animation or a marquee/blink without a label
+ */
+function normalizeAnimation(spec) {
+    const animation = ANIMATIONS[spec.animation];
+    if (!animation) {
+        throw new Error(`Unknown animation: ${spec.animation}. Expected ${Object.keys(ANIMATIONS).join(', ')}`);
+    }
+    if ((spec.animation === 'marquee' || spec.animation === 'blink') && !spec.label) {
+        throw new Error(`${spec.animation} animations need a label`);
+    }
 
-    for (let i = 0; i < 3; i++) {
-        const dotX = center - dotSpacing + (i * dotSpacing);
+    let frames = parseInt(spec.frames) || animation.frames;
+    if (!frames) {
+        const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+        const ctx = canvas.getContext('2d');
+        ctx.font = 'bold 40px Arial';
+        frames = Math.ceil((IMAGE_SIZE + ctx.measureText(spec.label).width) / MARQUEE_STEP);
+    }
 
-        // Only draw dots up to current frame
-        if (i <= frame) {
-            ctx.fillStyle = '#FFD700';
-            ctx.beginPath();
-            ctx.arc(dotX, dotY, dotRadius, 0, Math.PI * 2);
-            ctx.fill();
+    return {
+        ...spec,
+        color: spec.color || DEFAULT_COLOR,
+        background: spec.background || '#000000',
+        frames: Math.min(MAX_FRAMES, Math.max(2, frames)),
+        delay: Math.min(MAX_FRAME_DELAY, Math.max(MIN_FRAME_DELAY, parseInt(spec.delay) || animation.delay)),
+        maxBytes: parseInt(spec.maxBytes) || DEFAULT_MAX_BYTES
+    };
+}
+
+/**
+ * Render an animation to a looping GIF, dropping frames until it fits spec.maxBytes
+ * @returns {Buffer}
+ * @throws Error if even two frames exceed the budget
+ */
+function renderAnimation(spec) {
+    const options = normalizeAnimation(spec);
+    const { draw } = ANIMATIONS[options.animation];
+    let { frames, delay } = options;
+
+    for (;;) {
+        const buffer = encodeFrames(options, draw, frames, delay);
+        if (buffer.length <= options.maxBytes) return buffer;
+        if (frames <= 2) {
+            throw new Error(`${options.animation} animation is ${buffer.length} bytes even with 2 frames (budget ${options.maxBytes})`);
         }
+        // Fewer frames, each shown longer, so a cycle takes as long as asked
+        const fewer = Math.max(2, Math.floor(frames * 0.75));
+        delay = Math.min(MAX_FRAME_DELAY, Math.round(delay * frames / fewer));
+        frames = fewer;
+    }
+}
+
+function encodeFrames(options, draw, frames, delay) {
+    const encoder = new GIFEncoder(IMAGE_SIZE, IMAGE_SIZE);
+    encoder.start();
+    encoder.setRepeat(0);   // 0 = loop forever
+    encoder.setDelay(delay);
+    encoder.setQuality(10); // 1-20, lower is better
+
+    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+    const ctx = canvas.getContext('2d');
+    for (let frame = 0; frame < frames; frame++) {
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+        ctx.save();
+        draw(ctx, frame / frames, options, frame);
+        ctx.restore();
+        encoder.addFrame(ctx);
     }
 
-    // Add frame to GIF
-    encoder.addFrame(ctx);
-    console.log(`✓ Frame ${frame + 1}/${FRAME_COUNT} generated`);
+    encoder.finish();
+    return encoder.out.getData();
+}
+
+/**
+ * Render an animation into images/cache (named and recorded by the icon cache manifest)
+ * @returns Path of the GIF
+ */
+function createAnimatedGif(spec) {
+    // Keyed with the defaults filled in, so leaving out a default is the same animation
+    const options = normalizeAnimation(spec);
+    const { filename, hash } = resolveIcon('anim', options, 'gif');
+    const outputPath = path.join(CACHE_DIR, filename);
+    const buffer = renderAnimation(options);
+
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(outputPath, buffer);
+    recordIcon(filename, hash, options, 'gif', buffer.length);
+    return outputPath;
 }
 
-encoder.finish();
+// Main execution
+if (require.main === module) {
+    const [animation = 'dots', ...args] = process.argv.slice(2);
+    const spec = { type: 'animation', animation };
 
-stream.on('finish', () => {
-    const stats = fs.statSync(outputPath);
-    console.log(`\n✓ GIF created: ${outputPath}`);
-    console.log(`  Size: ${stats.size} bytes (${(stats.size / 1024).toFixed(2)} KB)`);
-});
+    // --label TEXT --color HEX --label-color HEX --background HEX --frames N --delay MS --max-bytes N
+    for (let i = 0; i < args.length; i += 2) {
+        const key = args[i].replace(/^--/, '').replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+        if (!['label', 'color', 'labelColor', 'background', 'frames', 'delay', 'maxBytes'].includes(key) || args[i + 1] === undefined) {
+            console.error(`Error: unknown option or missing value: ${args[i]}`);
+            console.error(`Usage: create-animated-gif.js [${Object.keys(ANIMATIONS).join('|')}] [--label TEXT] [--color HEX] ` +
+                '[--label-color HEX] [--background HEX] [--frames N] [--delay MS] [--max-bytes N]');
+            process.exit(1);
+        }
+        spec[key] = ['frames', 'delay', 'maxBytes'].includes(key) ? parseInt(args[i + 1]) : args[i + 1];
+    }
+
+    try {
+        const outputPath = createAnimatedGif(spec);
+        const size = fs.statSync(outputPath).size;
+        console.log(`✓ GIF created: ${outputPath}`);
+        console.log(`  Size: ${size} bytes (${(size / 1024).toFixed(2)} KB)`);
+    } catch (err) {
+        console.error(`✗ ERROR: ${err.message}`);
+        process.exit(1);
+    }
+}
 
-stream.on('error', (err) => {
-    console.error('Error creating GIF:', err);
-    process.exit(1);
-});
+module.exports = {
+    ANIMATIONS,
+    normalizeAnimation,
+    renderAnimation,
+    createAnimatedGif
+};
@@ -7,7 +7,7 @@
 
 const fs = require('fs');
 const path = require('path');
-const { createCanvas } = require('@napi-rs/canvas');
+const { createCanvas, Image } = require('@napi-rs/canvas');
 
 // Configuration
 const IMAGE_SIZE = 128;
@@ -33,10 +33,15 @@ function rgbToRgb565(r, g, b) {
 
 /**
  * Convert canvas to RGB565 buffer
+ * @param dither Diffuse rounding errors (Floyd-Steinberg) instead of rounding each pixel,
+ *               so photos and gradients band less
  */
-function canvasToRgb565(canvas) {
+function canvasToRgb565(canvas, dither = false) {
     const ctx = canvas.getContext('2d');
     const imageData = ctx.getImageData(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+    if (dither) {
+        return ditherToRgb565(imageData.data);
+    }
     const buffer = Buffer.alloc(IMAGE_SIZE * IMAGE_SIZE * 2);
 
     let offset = 0;
@@ -54,6 +59,36 @@ function canvasToRgb565(canvas) {
     return buffer;
 }
 
+// Floyd-Steinberg dithering to 5/6/5 bits: each channel's rounding error is spread to the
+// pixels right and below that are still to be converted
+function ditherToRgb565(pixels) {
+    const values = Float32Array.from(pixels);
+    const buffer = Buffer.alloc(IMAGE_SIZE * IMAGE_SIZE * 2);
+    const maxLevels = [31, 63, 31];
+    const spread = (x, y, channel, error) => {
+        if (x < 0 || x >= IMAGE_SIZE || y >= IMAGE_SIZE) return;
+        values[(y * IMAGE_SIZE + x) * 4 + channel] += error;
+    };
+
+    for (let y = 0; y < IMAGE_SIZE; y++) {
+        for (let x = 0; x < IMAGE_SIZE; x++) {
+            const offset = (y * IMAGE_SIZE + x) * 4;
+            const levels = maxLevels.map((max, channel) => {
+                const value = Math.min(255, Math.max(0, values[offset + channel]));
+                const level = Math.round(value * max / 255);
+                const error = value - level * 255 / max;
+                spread(x + 1, y, channel, error * 7 / 16);
+                spread(x - 1, y + 1, channel, error * 3 / 16);
+                spread(x, y + 1, channel, error * 5 / 16);
+                spread(x + 1, y + 1, channel, error * 1 / 16);
+                return level;
+            });
+            buffer.writeUInt16BE((levels[0] << 11) | (levels[1] << 5) | levels[2], (y * IMAGE_SIZE + x) * 2);
+        }
+    }
+    return buffer;
+}
+
 /**
  * Generate a simple icon
  */
@@ -287,33 +322,62 @@ function generateAllImages() {
     console.log(`PNG references saved to: ${OUTPUT_DIR}`);
 }
 
+// How an image is scaled onto the square display: cover crops the overflow, contain
+// letterboxes on the background, fill stretches
+const IMAGE_FITS = ['cover', 'contain', 'fill'];
+
 /**
- * Convert a PNG image to RGB565
+ * Render a PNG, JPEG or SVG image to RGB565
+ * @param data Image file contents
+ * @param options {fit?: 'cover' | 'contain' | 'fill' (default contain), background?, dither?}
+ * @returns {Promise<Buffer>}
+ * @throws Error for an unknown fit or data that isn't a decodable image
  */
-async function convertPngToRgb565(inputPath, outputPath) {
-    const sharp = require('sharp');
+async function renderImageIcon(data, options = {}) {
+    const { fit = 'contain', background = '#000000', dither = false } = options;
+    if (!IMAGE_FITS.includes(fit)) {
+        throw new Error(`Unknown fit: ${fit}. Expected ${IMAGE_FITS.join(', ')}`);
+    }
 
-    try {
-        // Read and resize image
-        const { data, info } = await sharp(inputPath)
-            .resize(IMAGE_SIZE, IMAGE_SIZE, { fit: 'cover' })
-            .raw()
-            .toBuffer({ resolveWithObject: true });
+    const image = await decodeImage(data);
 
-        // Convert to RGB565
-        const rgb565Buffer = Buffer.alloc(IMAGE_SIZE * IMAGE_SIZE * 2);
-        let offset = 0;
+    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+    const ctx = canvas.getContext('2d');
 
-        for (let i = 0; i < data.length; i += info.channels) {
-            const r = data[i];
-            const g = data[i + 1];
-            const b = data[i + 2];
-            const rgb565 = rgbToRgb565(r, g, b);
+    // Background shows through transparency and around contained images
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
 
-            rgb565Buffer.writeUInt16BE(rgb565, offset);
-            offset += 2;
-        }
+    let width = IMAGE_SIZE;
+    let height = IMAGE_SIZE;
+    if (fit !== 'fill') {
+        const scale = (fit === 'cover' ? Math.max : Math.min)(IMAGE_SIZE / image.width, IMAGE_SIZE / image.height);
+        width = image.width * scale;
+        height = image.height * scale;
+    }
+    ctx.drawImage(image, (IMAGE_SIZE - width) / 2, (IMAGE_SIZE - height) / 2, width, height);
+
+    return canvasToRgb565(canvas, dither);
+}
 
+// PNG and JPEG pixels are decoded in the background: drawing before onload draws nothing
+function decodeImage(data) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        const invalid = () => reject(new Error('Unsupported or corrupt image: expected PNG, JPEG or SVG'));
+        image.onload = () => (image.width && image.height ? resolve(image) : invalid());
+        image.onerror = invalid;
+        image.src = Buffer.from(data);
+    });
+}
+
+/**
+ * Convert a PNG, JPEG or SVG file to RGB565
+ * @param options As renderImageIcon; fit defaults to cover
+ */
+async function convertPngToRgb565(inputPath, outputPath, options = {}) {
+    try {
+        const rgb565Buffer = await renderImageIcon(fs.readFileSync(inputPath), { fit: 'cover', ...options });
         fs.writeFileSync(outputPath, rgb565Buffer);
         console.log(`Converted ${inputPath} to ${outputPath}`);
 
@@ -322,10 +386,16 @@ async function convertPngToRgb565(inputPath, outputPath) {
     }
 }
 
+// Emoji icon validation thresholds
+const MIN_CRITICAL_BYTES = 100;   // < 100 bytes = completely broken (black-on-black)
+const MIN_WARNING_PERCENT = 5.0;  // < 5% filled = likely a simple unicode char, not full emoji
+
 /**
- * Generate an emoji-based icon
+ * Render an emoji icon to RGB565, validating its pixel coverage
+ * @returns {{buffer: Buffer, nonZeroBytes: number, coverage: number, warning?: string}}
+ * @throws Error if the icon is almost completely blank
  */
-function generateEmojiIcon(emoji, name) {
+function renderEmojiIcon(emoji) {
     const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
     const ctx = canvas.getContext('2d');
 
@@ -366,40 +436,52 @@ function generateEmojiIcon(emoji, name) {
     }
 
     const totalBytes = rgb565Buffer.length;
-    const nonZeroPercent = (nonZeroBytes / totalBytes * 100).toFixed(1);
-
-    // Validation thresholds
-    const MIN_CRITICAL_BYTES = 100;   // < 100 bytes = completely broken (black-on-black)
-    const MIN_WARNING_PERCENT = 5.0;  // < 5% filled = likely a simple unicode char, not full emoji
+    const coverage = parseFloat((nonZeroBytes / totalBytes * 100).toFixed(1));
 
     if (nonZeroBytes < MIN_CRITICAL_BYTES) {
-        console.error(`✗ ERROR: Generated icon is almost completely blank (${nonZeroBytes} bytes, ${nonZeroPercent}%)`);
-        console.error(`  This indicates a serious rendering bug (e.g., black text on black background).`);
+        throw new Error(`Icon generation failed: only ${nonZeroBytes} non-zero bytes (${coverage}%) - ` +
+            'the emoji did not render (e.g., black text on black background)');
+    }
+
+    const warning = coverage < MIN_WARNING_PERCENT
+        ? `Low pixel coverage (${nonZeroBytes} bytes, ${coverage}%, expected >${MIN_WARNING_PERCENT}%): ` +
+          `"${emoji}" likely didn't render as a full emoji (e.g., use ✅ instead of ✓)`
+        : undefined;
+
+    return { buffer: rgb565Buffer, nonZeroBytes, coverage, warning };
+}
+
+/**
+ * Generate an emoji-based icon
+ */
+function generateEmojiIcon(emoji, name) {
+    let rendered;
+    try {
+        rendered = renderEmojiIcon(emoji);
+    } catch (err) {
+        console.error(`✗ ERROR: ${err.message}`);
         console.error(`  REFUSING to save this broken icon.`);
-        throw new Error(`Icon generation failed: only ${nonZeroBytes} non-zero bytes`);
+        throw err;
     }
+    const { buffer, nonZeroBytes, coverage, warning } = rendered;
 
-    const nonZeroPercentNum = parseFloat(nonZeroPercent);
-    if (nonZeroPercentNum < MIN_WARNING_PERCENT) {
-        console.error(`✗ WARNING: Generated icon has low pixel coverage (${nonZeroBytes} bytes, ${nonZeroPercent}%)`);
-        console.error(`  Expected: >${MIN_WARNING_PERCENT}% for full emoji rendering`);
-        console.error(`  This likely means the emoji "${emoji}" didn't render as a full emoji.`);
-        console.error(`  Consider using a full emoji character instead (e.g., ✅ instead of ✓).`);
+    if (warning) {
+        console.error(`✗ WARNING: ${warning}`);
         console.error(`  The icon may appear as a tiny white symbol on the device.`);
     }
 
     // Save
     const rgbPath = path.join(CACHE_DIR, `${name}.rgb`);
-    fs.writeFileSync(rgbPath, rgb565Buffer);
-    console.log(`✓ Generated ${name}.rgb from emoji: ${emoji} (${nonZeroBytes} bytes, ${nonZeroPercent}% coverage)`);
+    fs.writeFileSync(rgbPath, buffer);
+    console.log(`✓ Generated ${name}.rgb from emoji: ${emoji} (${nonZeroBytes} bytes, ${coverage}% coverage)`);
 
     return rgbPath;
 }
 
 /**
- * Generate a text-based icon
+ * Render a text icon to RGB565
  */
-function generateTextIcon(text, color, name) {
+function renderTextIcon(text, color) {
     const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
     const ctx = canvas.getContext('2d');
 
@@ -416,16 +498,287 @@ function generateTextIcon(text, color, name) {
     ctx.fillText(text, IMAGE_SIZE / 2, IMAGE_SIZE / 2);
 
     // Convert to RGB565
-    const rgb565Buffer = canvasToRgb565(canvas);
+    return canvasToRgb565(canvas);
+}
 
-    // Save
+/**
+ * Generate a text-based icon
+ */
+function generateTextIcon(text, color, name) {
     const rgbPath = path.join(CACHE_DIR, `${name}.rgb`);
-    fs.writeFileSync(rgbPath, rgb565Buffer);
+    fs.writeFileSync(rgbPath, renderTextIcon(text, color));
     console.log(`✓ Generated ${name}.rgb with text: "${text}"`);
 
     return rgbPath;
 }
 
+/**
+ * Render a counter icon to RGB565: a label above a large number (e.g. test dashboard counts)
+ */
+function renderCounterIcon(value, label, color) {
+    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+    const ctx = canvas.getContext('2d');
+
+    // Black background
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+
+    ctx.fillStyle = color || '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(label, IMAGE_SIZE / 2, 24);
+
+    // Shrink the number as it grows so it stays inside the display
+    const digits = String(value).length;
+    const fontSize = digits <= 2 ? 64 : digits === 3 ? 52 : 36;
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillText(String(value), IMAGE_SIZE / 2, 78);
+
+    return canvasToRgb565(canvas);
+}
+
+/**
+ * Generate a counter icon
+ */
+function generateCounterIcon(value, label, color, name) {
+    const rgbPath = path.join(CACHE_DIR, `${name}.rgb`);
+    fs.writeFileSync(rgbPath, renderCounterIcon(value, label, color));
+    console.log(`✓ Generated ${name}.rgb with counter: ${label} ${value}`);
+
+    return rgbPath;
+}
+
+/**
+ * Render a progress bar icon to RGB565: "done/total" above a bar and the percentage below
+ */
+function renderProgressIcon(done, total, color) {
+    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+    const ctx = canvas.getContext('2d');
+
+    // Black background
+    ctx.fillStyle = '#000000';
+    ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+
+    const fraction = total > 0 ? Math.min(1, done / total) : 0;
+    const barX = 10;
+    const barY = 52;
+    const barWidth = IMAGE_SIZE - 2 * barX;
+    const barHeight = 24;
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = 'bold 22px Arial';
+    ctx.fillText(total > 0 ? `${done}/${total}` : `${done}`, IMAGE_SIZE / 2, 26);
+
+    // Bar outline, then the filled part
+    ctx.strokeStyle = '#FFFFFF';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(barX, barY, barWidth, barHeight);
+    ctx.fillStyle = color || '#00FF00';
+    ctx.fillRect(barX + 3, barY + 3, Math.round((barWidth - 6) * fraction), barHeight - 6);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.font = 'bold 20px Arial';
+    ctx.fillText(total > 0 ? `${Math.floor(fraction * 100)}%` : '...', IMAGE_SIZE / 2, 100);
+
+    return canvasToRgb565(canvas);
+}
+
+/**
+ * Generate a progress bar icon
+ */
+function generateProgressIcon(done, total, color, name) {
+    const rgbPath = path.join(CACHE_DIR, `${name}.rgb`);
+    fs.writeFileSync(rgbPath, renderProgressIcon(done, total, color));
+    console.log(`✓ Generated ${name}.rgb with progress: ${done}/${total}`);
+
+    return rgbPath;
+}
+
+// Tile templates: layout -> area the text is fitted into ({x, y, width, height}, maximum font size,
+// maximum lines). The emoji of emoji-label sits above its label.
+const TILE_LAYOUTS = {
+    'emoji-label': { text: { x: 6, y: 88, width: 116, height: 36 }, maxFont: 22, maxLines: 2 },
+    'label': { text: { x: 8, y: 8, width: 112, height: 112 }, maxFont: 40, maxLines: 4 }
+};
+const MIN_FONT_SIZE = 12;
+const BORDER_WIDTH = 6;
+const BADGE_COLOR = '#FF3B30';
+const BADGE_RADIUS = 16;
+const BADGE_BOTTOM = 4 + BADGE_RADIUS * 2 + 2;
+
+/**
+ * Break text into lines no wider than width at the context's font (long words are split)
+ */
+function wrapText(ctx, text, width) {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (ctx.measureText(candidate).width <= width) {
+            line = candidate;
+            continue;
+        }
+        if (line) lines.push(line);
+        line = word;
+        // A word wider than the area is split where it overflows
+        while (ctx.measureText(line).width > width && line.length > 1) {
+            let cut = line.length - 1;
+            while (cut > 1 && ctx.measureText(line.slice(0, cut)).width > width) cut--;
+            lines.push(line.slice(0, cut));
+            line = line.slice(cut);
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+}
+
+/**
+ * Find the largest bold font size (down to MIN_FONT_SIZE) at which text fits the area in
+ * at most maxLines lines. Text that doesn't fit even at the minimum is cut with "…".
+ * @returns {{fontSize: number, lines: string[]}}
+ */
+function fitText(ctx, text, area, maxFont, maxLines) {
+    const words = text.split(/\s+/).filter(Boolean);
+    for (let fontSize = maxFont; fontSize >= MIN_FONT_SIZE; fontSize--) {
+        ctx.font = `bold ${fontSize}px Arial`;
+        // Shrink rather than split words, until the minimum size
+        if (fontSize > MIN_FONT_SIZE && words.some(word => ctx.measureText(word).width > area.width)) continue;
+        const lines = wrapText(ctx, text, area.width);
+        const fitLines = Math.min(maxLines, Math.floor(area.height / (fontSize * 1.15)));
+        if (lines.length <= fitLines) {
+            return { fontSize, lines };
+        }
+    }
+
+    ctx.font = `bold ${MIN_FONT_SIZE}px Arial`;
+    const fitLines = Math.max(1, Math.min(maxLines, Math.floor(area.height / (MIN_FONT_SIZE * 1.15))));
+    const lines = wrapText(ctx, text, area.width).slice(0, fitLines);
+    let last = lines[fitLines - 1];
+    while (last.length > 1 && ctx.measureText(`${last}…`).width > area.width) last = last.slice(0, -1);
+    lines[fitLines - 1] = `${last}…`;
+    return { fontSize: MIN_FONT_SIZE, lines };
+}
+
+/**
+ * Render a tile template to RGB565
+ * @param spec {type: 'tile', layout: 'emoji-label' | 'label', label, emoji?, color?, background?,
+ *             border?, badge?} - color is the label's, border a frame color (e.g. the focused or
+ *             default key), badge a short text or count in a circle at the top right
+ *             ({text, color?} or just the text)
+ */
+function renderTileIcon(spec) {
+    const template = TILE_LAYOUTS[spec.layout];
+    if (!template) {
+        throw new Error(`Unknown tile layout: ${spec.layout}. Expected ${Object.keys(TILE_LAYOUTS).join(', ')}`);
+    }
+    if (spec.layout === 'emoji-label' && !spec.emoji) {
+        throw new Error('emoji-label tiles need an emoji');
+    }
+
+    const canvas = createCanvas(IMAGE_SIZE, IMAGE_SIZE);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = spec.background || '#000000';
+    ctx.fillRect(0, 0, IMAGE_SIZE, IMAGE_SIZE);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    if (spec.layout === 'emoji-label') {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '64px Arial, "Apple Color Emoji", "Segoe UI Emoji"';
+        ctx.fillText(spec.emoji, IMAGE_SIZE / 2, 50);
+    }
+
+    // Label lines centered in the template's text area
+    const hasBadge = spec.badge !== undefined && spec.badge !== null && spec.badge !== '';
+    // Keep the label clear of the badge
+    const area = hasBadge && template.text.y < BADGE_BOTTOM
+        ? { ...template.text, y: BADGE_BOTTOM, height: template.text.height - (BADGE_BOTTOM - template.text.y) }
+        : template.text;
+    const { fontSize, lines } = fitText(ctx, String(spec.label || ''), area, template.maxFont, template.maxLines);
+    const lineHeight = fontSize * 1.15;
+    const top = area.y + (area.height - lines.length * lineHeight) / 2 + lineHeight / 2;
+    ctx.fillStyle = spec.color || '#FFFFFF';
+    lines.forEach((line, index) => ctx.fillText(line, IMAGE_SIZE / 2, top + index * lineHeight));
+
+    if (spec.border) {
+        ctx.strokeStyle = spec.border;
+        ctx.lineWidth = BORDER_WIDTH;
+        ctx.strokeRect(BORDER_WIDTH / 2, BORDER_WIDTH / 2, IMAGE_SIZE - BORDER_WIDTH, IMAGE_SIZE - BORDER_WIDTH);
+    }
+
+    if (hasBadge) {
+        const badge = typeof spec.badge === 'object' ? spec.badge : { text: spec.badge };
+        drawBadge(ctx, String(badge.text), badge.color || BADGE_COLOR);
+    }
+
+    return canvasToRgb565(canvas);
+}
+
+// Badge: a circle at the top right, stretched into a pill for longer text ("99+")
+function drawBadge(ctx, text, color) {
+    const radius = BADGE_RADIUS;
+    ctx.font = `bold ${text.length > 2 ? 16 : 20}px Arial`;
+    const width = Math.max(radius * 2, ctx.measureText(text).width + 12);
+    const right = IMAGE_SIZE - 4;
+    const centerY = 4 + radius;
+
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(right - radius, centerY, radius, -Math.PI / 2, Math.PI / 2);
+    ctx.arc(right - width + radius, centerY, radius, Math.PI / 2, Math.PI * 3 / 2);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, right - width / 2, centerY + 1);
+}
+
+/**
+ * Generate a tile icon
+ */
+function generateTileIcon(spec, name) {
+    const rgbPath = path.join(CACHE_DIR, `${name}.rgb`);
+    fs.writeFileSync(rgbPath, renderTileIcon(spec));
+    console.log(`✓ Generated ${name}.rgb with ${spec.layout} tile: "${spec.label}"`);
+
+    return rgbPath;
+}
+
+/**
+ * Render an icon described by a spec, without saving it (used by icon-renderer.js)
+ * @param spec {type: 'emoji', emoji} | {type: 'text', text, color} |
+ *             {type: 'counter', value, label, color} | {type: 'progress', done, total, color} |
+ *             {type: 'tile', layout, label, ...} (see renderTileIcon) | {type: 'image', data, fit, background, dither}
+ * @returns {{buffer: Buffer, coverage?: number, warning?: string}} (a Promise of it for images, which decode asynchronously)
+ */
+function renderIcon(spec) {
+    switch (spec.type) {
+        case 'emoji': {
+            const { buffer, coverage, warning } = renderEmojiIcon(spec.emoji);
+            return { buffer, coverage, warning };
+        }
+        case 'text':
+            return { buffer: renderTextIcon(spec.text, spec.color) };
+        case 'counter':
+            return { buffer: renderCounterIcon(spec.value, spec.label, spec.color) };
+        case 'progress':
+            return { buffer: renderProgressIcon(spec.done, spec.total, spec.color) };
+        case 'tile':
+            return { buffer: renderTileIcon(spec) };
+        case 'image':
+            return renderImageIcon(spec.data, spec).then(buffer => ({ buffer }));
+        default:
+            throw new Error(`Unknown icon type: ${spec.type}`);
+    }
+}
+
 // Main execution
 if (require.main === module) {
     const args = process.argv.slice(2);
@@ -451,12 +804,30 @@ if (require.main === module) {
         const name = args[3] || text.toLowerCase().replace(/\s+/g, '_');
         generateTextIcon(text, color, name);
 
-    } else if (args.length === 2 && args[0] === '--convert') {
-        // Convert a single PNG file
+    } else if (args.length >= 5 && args[0] === '--counter') {
+        // Generate counter icon: --counter VALUE LABEL COLOR NAME
+        const [, value, label, color, name] = args;
+        generateCounterIcon(value, label, color, name.replace(/[^a-z0-9_-]/gi, '_'));
+
+    } else if (args.length >= 5 && args[0] === '--progress') {
+        // Generate progress icon: --progress DONE TOTAL COLOR NAME (TOTAL 0 if unknown)
+        const [, done, total, color, name] = args;
+        generateProgressIcon(parseInt(done) || 0, parseInt(total) || 0, color, name.replace(/[^a-z0-9_-]/gi, '_'));
+
+    } else if (args.length >= 3 && args[0] === '--tile') {
+        // Generate tile icon: --tile '{"layout":"emoji-label","emoji":"✅","label":"Yes"}' NAME
+        generateTileIcon(JSON.parse(args[1]), args[2].replace(/[^a-z0-9_-]/gi, '_'));
+
+    } else if (args.length >= 2 && args[0] === '--convert') {
+        // Convert a single PNG, JPEG or SVG file: --convert FILE [--fit cover|contain|fill] [--dither]
         const inputFile = args[1];
+        const fitIndex = args.indexOf('--fit');
         const outputFile = path.join(CACHE_DIR,
-            path.basename(inputFile, '.png') + '.rgb');
-        convertPngToRgb565(inputFile, outputFile);
+            path.parse(inputFile).name + '.rgb');
+        convertPngToRgb565(inputFile, outputFile, {
+            fit: fitIndex === -1 ? 'cover' : args[fitIndex + 1],
+            dither: args.includes('--dither')
+        });
 
     } else {
         // Generate all standard images
@@ -465,9 +836,6 @@ if (require.main === module) {
 }
 
 module.exports = {
-    generateIcon,
-    canvasToRgb565,
-    convertPngToRgb565,
-    generateEmojiIcon,
-    generateTextIcon
+    fitText,
+    renderIcon
 };
\ No newline at end of file
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+
+/**
+ * Icon cache manifest for images/cache
+ * Records every generated icon (spec, full SHA-256 of the spec, size, format, creation
+ * and last use) in images/cache/manifest.json, names files so two specs never share one,
+ * and evicts the least recently used icons once the cache outgrows the ESP32's SPIFFS
+ * partition (arduino/TKeyboardClaude/partitions.csv). Files the manifest doesn't know
+ * (built-in images such as stop.rgb) are listed but never evicted.
+ *
+ *   node icon-cache.js list
+ *   node icon-cache.js prune [--max-bytes N] [--dry-run]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_DIR = path.join(__dirname, '../images/cache');
+const MANIFEST_PATH = path.join(CACHE_DIR, 'manifest.json');
+const PARTITIONS_CSV = path.join(__dirname, '../arduino/TKeyboardClaude/partitions.csv');
+const DEFAULT_BUDGET_BYTES = 0xCF0000;  // spiffs partition size when partitions.csv is missing
+
+// SPIFFS object names are at most 31 characters, "/images/" included
+const MAX_NAME_LENGTH = 23;
+const TOUCH_INTERVAL_MS = 60000;  // Eviction order only needs minutes
+
+let loaded = null;  // { mtimeMs, manifest } - reread when another process changed the file
+let lastSaved = 0;
+
+/**
+ * Full SHA-256 of a spec, with object keys sorted so field order doesn't matter
+ */
+function specHash(spec) {
+    return crypto.createHash('sha256').update(canonicalJson(spec)).digest('hex');
+}
+
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+        return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Cache size cap: TKEYBOARD_ICON_CACHE_BYTES, else the spiffs partition in partitions.csv
+ */
+function cacheBudget() {
+    const override = parseInt(process.env.TKEYBOARD_ICON_CACHE_BYTES);
+    if (override > 0) return override;
+    try {
+        const line = fs.readFileSync(PARTITIONS_CSV, 'utf-8')
+            .split('\n')
+            .find(row => /^\s*spiffs\s*,/.test(row));
+        const size = line && parseInt(line.split(',')[4]);
+        if (size > 0) return size;
+    } catch (err) {
+        // No firmware checkout - use the default
+    }
+    return DEFAULT_BUDGET_BYTES;
+}
+
+/**
+ * Read the manifest: {version: 1, entries: {filename: {hash, spec, format, size, created, lastUsed}}}
+ */
+function readManifest() {
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(MANIFEST_PATH).mtimeMs;
+    } catch (err) {
+        return { version: 1, entries: {} };
+    }
+    if (loaded && loaded.mtimeMs === mtimeMs) return loaded.manifest;
+
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+    } catch (err) {
+        // Unreadable manifest: start over, icons are re-rendered as they are used
+        console.error(`[IconCache] Ignoring unreadable ${MANIFEST_PATH}: ${err.message}`);
+        manifest = { version: 1, entries: {} };
+    }
+    loaded = { mtimeMs, manifest };
+    return manifest;
+}
+
+function writeManifest(manifest) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    const tempPath = `${MANIFEST_PATH}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, MANIFEST_PATH);
+    lastSaved = Date.now();
+    loaded = { mtimeMs: fs.statSync(MANIFEST_PATH).mtimeMs, manifest };
+}
+
+/**
+ * Find the file for a spec: the recorded one if it is still on disk, else a free name.
+ * Names use as much of the hash as SPIFFS allows; if another spec already has that
+ * name the next digits of the hash are used, so a file always holds the spec it was
+ * recorded for.
+ * @param prefix Namespace, e.g. "icon" or "tile"
+ * @param ext File extension without the dot ("rgb", "gif")
+ * @returns {{filename: string, hash: string, cached: boolean}}
+ */
+function resolveIcon(prefix, spec, ext) {
+    const hash = specHash(spec);
+    const { entries } = readManifest();
+
+    for (const [filename, entry] of Object.entries(entries)) {
+        if (entry.hash === hash && filename.endsWith(`.${ext}`)) {
+            return { filename, hash, cached: fs.existsSync(path.join(CACHE_DIR, filename)) };
+        }
+    }
+
+    const length = MAX_NAME_LENGTH - prefix.length - ext.length - 2;
+    for (let start = 0; start + length <= hash.length; start++) {
+        const filename = `${prefix}-${hash.slice(start, start + length)}.${ext}`;
+        if (!entries[filename]) {
+            return { filename, hash, cached: false };
+        }
+    }
+    throw new Error(`No free cache name for ${prefix} ${hash}`);
+}
+
+/**
+ * Record a file just written for a spec, then evict least recently used icons over budget
+ * @returns Filenames evicted
+ */
+function recordIcon(filename, hash, spec, format, size) {
+    const manifest = readManifest();
+    const now = new Date().toISOString();
+    manifest.entries[filename] = { hash, spec, format, size, created: now, lastUsed: now };
+    return pruneManifest(manifest, cacheBudget(), [filename]);
+}
+
+/**
+ * Mark icons as used now (ignores names the manifest doesn't know). Uses within
+ * TOUCH_INTERVAL_MS of the last save only update this process's copy.
+ */
+function touchIcons(names) {
+    const manifest = readManifest();
+    const now = new Date().toISOString();
+    let touched = false;
+    for (const name of new Set(names)) {
+        const entry = manifest.entries[name];
+        if (entry) {
+            entry.lastUsed = now;
+            touched = true;
+        }
+    }
+    if (touched && Date.now() - lastSaved >= TOUCH_INTERVAL_MS) writeManifest(manifest);
+}
+
+/**
+ * Evict least recently used icons until the recorded icons fit maxBytes
+ * @param options {maxBytes?: number, keep?: string[], dryRun?: boolean}
+ * @returns Filenames evicted (or that would be, with dryRun)
+ */
+function pruneCache(options = {}) {
+    const { maxBytes = cacheBudget(), keep = [], dryRun = false } = options;
+    return pruneManifest(readManifest(), maxBytes, keep, dryRun);
+}
+
+function pruneManifest(manifest, maxBytes, keep, dryRun = false) {
+    // Forget entries whose file was deleted by hand
+    for (const filename of Object.keys(manifest.entries)) {
+        if (!fs.existsSync(path.join(CACHE_DIR, filename))) delete manifest.entries[filename];
+    }
+
+    let total = Object.values(manifest.entries).reduce((sum, entry) => sum + entry.size, 0);
+    const oldestFirst = Object.entries(manifest.entries)
+        .filter(([filename]) => !keep.includes(filename))
+        .sort(([, a], [, b]) => (a.lastUsed < b.lastUsed ? -1 : a.lastUsed > b.lastUsed ? 1 : 0));
+
+    const evicted = [];
+    for (const [filename, entry] of oldestFirst) {
+        if (total <= maxBytes) break;
+        evicted.push(filename);
+        total -= entry.size;
+        if (dryRun) continue;
+        try {
+            fs.unlinkSync(path.join(CACHE_DIR, filename));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        delete manifest.entries[filename];
+    }
+
+    if (!dryRun) {
+        writeManifest(manifest);
+        if (evicted.length > 0) {
+            console.log(`[IconCache] Evicted ${evicted.length} icon(s) over the ${maxBytes} byte budget: ${evicted.join(', ')}`);
+        }
+    }
+    return evicted;
+}
+
+/**
+ * Recorded icons (least recently used first) and files the manifest doesn't know
+ * @returns {{entries: Array<{filename} & entry>, untracked: string[], totalBytes: number, budgetBytes: number}}
+ */
+function listCache() {
+    const { entries } = readManifest();
+    const files = fs.existsSync(CACHE_DIR) ? fs.readdirSync(CACHE_DIR) : [];
+    const present = Object.entries(entries)
+        .filter(([filename]) => files.includes(filename))
+        .map(([filename, entry]) => ({ filename, ...entry }))
+        .sort((a, b) => (a.lastUsed < b.lastUsed ? -1 : a.lastUsed > b.lastUsed ? 1 : 0));
+
+    return {
+        entries: present,
+        untracked: files.filter(file => !entries[file] && file !== path.basename(MANIFEST_PATH) && !file.includes('.tmp')),
+        totalBytes: present.reduce((sum, entry) => sum + entry.size, 0),
+        budgetBytes: cacheBudget()
+    };
+}
+
+// Short description of a spec for the listing
+function describeSpec(spec) {
+    const { type, ...fields } = spec || {};
+    return `${type || '?'} ${JSON.stringify(fields)}`;
+}
+
+// Main execution
+if (require.main === module) {
+    const [command, ...args] = process.argv.slice(2);
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+
+    if (command === 'list') {
+        const { entries, untracked, totalBytes, budgetBytes } = listCache();
+        for (const entry of entries) {
+            console.log(`${entry.filename}  ${entry.format}  ${entry.size} bytes  used ${entry.lastUsed}  ${describeSpec(entry.spec)}`);
+        }
+        for (const file of untracked) {
+            console.log(`${file}  (not in manifest, never evicted)`);
+        }
+        console.log(`\n${entries.length} icon(s), ${totalBytes}/${budgetBytes} bytes`);
+
+    } else if (command === 'prune') {
+        const maxBytes = option('--max-bytes') !== undefined ? parseInt(option('--max-bytes')) : cacheBudget();
+        if (!(maxBytes >= 0)) {
+            console.error('Error: --max-bytes must be a number of bytes');
+            process.exit(1);
+        }
+        const dryRun = args.includes('--dry-run');
+        const evicted = pruneCache({ maxBytes, dryRun });
+        console.log(`${dryRun ? 'Would evict' : 'Evicted'} ${evicted.length} icon(s)${evicted.length ? `: ${evicted.join(', ')}` : ''}`);
+
+    } else {
+        console.error('Usage: icon-cache.js list | prune [--max-bytes N] [--dry-run]');
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    CACHE_DIR,
+    specHash,
+    cacheBudget,
+    resolveIcon,
+    recordIcon,
+    touchIcons,
+    pruneCache,
+    listCache
+};
@@ -0,0 +1,129 @@
+/**
+ * In-process icon rendering for the MCP server
+ * Renders icon specs (see renderIcon in generate-images.js, and renderAnimation in
+ * create-animated-gif.js for GIFs) on a bounded pool of worker threads, so drawing and
+ * RGB565 conversion never block the caller's event loop and no Node process is spawned
+ * per icon. Resolves with the RGB565 (or GIF) buffer; saving it is up to the caller.
+ *
+ *   const { renderIcon } = require('./icon-renderer');
+ *   const { buffer, warning } = await renderIcon({ type: 'emoji', emoji: '✅' });
+ */
+
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+
+// Canvas rendering is CPU-bound: more workers than cores only adds memory
+const POOL_SIZE = Math.max(1, parseInt(process.env.TKEYBOARD_ICON_WORKERS) || Math.min(2, os.cpus().length));
+const IDLE_TIMEOUT_MS = 60000;  // Idle workers exit, freeing their canvas memory
+
+const workers = [];  // { worker, job, idleTimer }
+const queue = [];    // Jobs waiting for a free worker: { spec, resolve, reject }
+
+/**
+ * Render an icon on the worker pool
+ * @param spec Icon spec, e.g. {type: 'emoji', emoji: '✅'}, {type: 'text', text: 'RUN', color: '#00FF00'}
+ *             or {type: 'animation', animation: 'spinner'} (see create-animated-gif.js)
+ * @returns {Promise<{buffer: Buffer, coverage?: number, warning?: string}>}
+ */
+function renderIcon(spec) {
+    return new Promise((resolve, reject) => {
+        queue.push({ spec, resolve, reject });
+        dispatch();
+    });
+}
+
+/**
+ * Stop all workers (queued and running jobs fail)
+ */
+async function closeRenderer() {
+    for (const job of queue.splice(0)) {
+        job.reject(new Error('Icon renderer closed'));
+    }
+    await Promise.all(workers.splice(0).map(entry => {
+        clearTimeout(entry.idleTimer);
+        if (entry.job) entry.job.reject(new Error('Icon renderer closed'));
+        return entry.worker.terminate();
+    }));
+}
+
+// Hand queued jobs to idle workers, starting workers up to POOL_SIZE
+function dispatch() {
+    while (queue.length > 0) {
+        let entry = workers.find(candidate => !candidate.job);
+        if (!entry) {
+            if (workers.length >= POOL_SIZE) return;
+            entry = startWorker();
+        }
+
+        const job = queue.shift();
+        clearTimeout(entry.idleTimer);
+        entry.job = job;
+        entry.worker.ref();
+        entry.worker.postMessage(job.spec);
+    }
+}
+
+function startWorker() {
+    const entry = { worker: new Worker(__filename), job: null, idleTimer: null };
+
+    entry.worker.on('message', result => {
+        const { job } = entry;
+        entry.job = null;
+        // An idle worker must not keep the process alive
+        entry.worker.unref();
+        entry.idleTimer = setTimeout(() => stopWorker(entry), IDLE_TIMEOUT_MS);
+        entry.idleTimer.unref();
+
+        if (result.error) {
+            job.reject(new Error(result.error));
+        } else {
+            // Typed arrays arrive as plain Uint8Arrays
+            const buffer = Buffer.from(result.buffer.buffer, result.buffer.byteOffset, result.buffer.byteLength);
+            job.resolve({ buffer, coverage: result.coverage, warning: result.warning });
+        }
+        dispatch();
+    });
+
+    // A crashed worker fails its job; the next job starts a new one
+    const fail = err => {
+        const index = workers.indexOf(entry);
+        if (index === -1) return;
+        workers.splice(index, 1);
+        clearTimeout(entry.idleTimer);
+        if (entry.job) entry.job.reject(err);
+        dispatch();
+    };
+    entry.worker.on('error', fail);
+    entry.worker.on('exit', code => fail(new Error(`Icon worker exited with code ${code}`)));
+
+    workers.push(entry);
+    return entry;
+}
+
+function stopWorker(entry) {
+    const index = workers.indexOf(entry);
+    if (index === -1 || entry.job) return;
+    workers.splice(index, 1);
+    entry.worker.terminate();
+}
+
+// Worker thread: render each spec it is sent
+if (!isMainThread) {
+    const { renderIcon: render } = require('./generate-images.js');
+    const { renderAnimation } = require('./create-animated-gif.js');
+    parentPort.on('message', async spec => {
+        try {
+            // Animations are GIFs, everything else RGB565 (images resolve once decoded)
+            const { buffer, coverage, warning } = spec.type === 'animation' ? { buffer: renderAnimation(spec) } : await render(spec);
+            parentPort.postMessage({ buffer, coverage, warning });
+        } catch (err) {
+            parentPort.postMessage({ error: err.message });
+        }
+    });
+}
+
+module.exports = {
+    POOL_SIZE,
+    renderIcon,
+    closeRenderer
+};
@@ -0,0 +1,16 @@
+#!/bin/bash
+# T-Keyboard Hook
+# Register for PreToolUse, PermissionRequest, PostToolUse, Notification, Stop and
+# UserPromptSubmit (see tkeyboard-hooks.json). Forwards the hook's JSON payload from stdin to the MCP
+# server, which infers Claude's state and work context from it and updates the keys.
+
+# Claude Code runs hooks directly, so our parent is the Claude process.
+# The server uses it to apply the event to this Claude session's buttons.
+CLAUDE_PID=$PPID
+
+curl -s -m 2 -X POST "http://localhost:8081/hooks?claude_pid=$CLAUDE_PID" \
+  -H 'Content-Type: application/json' \
+  --data-binary @- > /dev/null 2>&1
+
+# Never block or fail the tool call, even if the server is down
+exit 0
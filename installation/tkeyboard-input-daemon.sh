@@ -1,8 +1,11 @@
 #!/bin/bash
 # T-Keyboard Input Daemon
 # Monitors for all button presses and injects text/commands to specific Claude session
+# - Registers the session with the server; only receives presses while it is the active session
+# - Streams presses from /inputs/stream and acknowledges each one after injecting it
 # - STOP button: Sends Esc (stops generation)
 # - Other buttons: Injects button text + Enter (autonomous input)
+# - Other key sequences, macros etc. arrive with empty text and are skipped (use input-consumer.js)
 
 if [ $# -ne 2 ]; then
     echo "Usage: $0 SESSION_ID CLAUDE_PID"
@@ -20,83 +23,95 @@ if ! kill -0 "$CLAUDE_PID" 2>/dev/null; then
     exit 1
 fi
 
-# Poll bridge server for STOP button presses
-while true; do
-    # Check if Claude process is still alive
-    if ! kill -0 "$CLAUDE_PID" 2>/dev/null; then
-        echo "[Stop Daemon] Claude process $CLAUDE_PID died, exiting"
-        exit 0
+# Inject one key press ({"seq","key","text","action"} JSON - only text is used)
+inject_input() {
+    local input="$1"
+    BUTTON_TEXT=$(echo "$input" | jq -r '.text')
+    BUTTON_KEY=$(echo "$input" | jq -r '.key')
+
+    if [ -z "$BUTTON_TEXT" ]; then
+        return
     fi
 
-    # Poll bridge server (100ms interval)
-    RESPONSE=$(curl -s http://localhost:8081/inputs 2>/dev/null)
+    if [ "$BUTTON_TEXT" == "STOP" ]; then
+        # STOP button - send Esc (key code 53) WITHOUT Enter
+        echo "[Input Daemon] STOP button pressed! Sending Esc"
+        osascript -e 'tell application "System Events" to key code 53' > /dev/null 2>&1
 
-    if [ $? -eq 0 ] && [ ! -z "$RESPONSE" ]; then
-        # Extract session ID from response
-        RESPONSE_SESSION=$(echo "$RESPONSE" | jq -r '.sessionId' 2>/dev/null)
+        if [ $? -eq 0 ]; then
+            echo "[Input Daemon] Esc sent successfully"
+        else
+            echo "[Input Daemon] ERROR: Failed to send Esc"
+        fi
+
+        sleep 1  # Cooldown after interrupt
+    elif [ "$BUTTON_TEXT" == "BACKGROUND" ]; then
+        # BACKGROUND button - send Ctrl+B WITHOUT Enter
+        echo "[Input Daemon] BACKGROUND button pressed! Sending Ctrl+B"
+        osascript -e 'tell application "System Events" to keystroke "b" using control down' > /dev/null 2>&1
 
-        # Validate session ID matches
-        if [ "$RESPONSE_SESSION" != "$SESSION_ID" ]; then
-            echo "[Stop Daemon] WARNING: Session mismatch (expected $SESSION_ID, got $RESPONSE_SESSION)"
-            sleep 0.1
-            continue
+        if [ $? -eq 0 ]; then
+            echo "[Input Daemon] Ctrl+B sent successfully"
+        else
+            echo "[Input Daemon] ERROR: Failed to send Ctrl+B"
         fi
 
-        # Check for inputs
-        INPUTS=$(echo "$RESPONSE" | jq -r '.inputs' 2>/dev/null)
-
-        if [ "$INPUTS" != "[]" ] && [ "$INPUTS" != "null" ]; then
-            # Process each input
-            echo "$RESPONSE" | jq -c '.inputs[]' 2>/dev/null | while read -r input; do
-                BUTTON_TEXT=$(echo "$input" | jq -r '.text')
-                BUTTON_KEY=$(echo "$input" | jq -r '.key')
-
-                if [ ! -z "$BUTTON_TEXT" ]; then
-                    if [ "$BUTTON_TEXT" == "STOP" ]; then
-                        # STOP button - send Esc (key code 53) WITHOUT Enter
-                        echo "[Input Daemon] STOP button pressed! Sending Esc"
-                        osascript -e 'tell application "System Events" to key code 53' > /dev/null 2>&1
-
-                        if [ $? -eq 0 ]; then
-                            echo "[Input Daemon] Esc sent successfully"
-                        else
-                            echo "[Input Daemon] ERROR: Failed to send Esc"
-                        fi
-
-                        sleep 1  # Cooldown after interrupt
-                    elif [ "$BUTTON_TEXT" == "BACKGROUND" ]; then
-                        # BACKGROUND button - send Ctrl+B WITHOUT Enter
-                        echo "[Input Daemon] BACKGROUND button pressed! Sending Ctrl+B"
-                        osascript -e 'tell application "System Events" to keystroke "b" using control down' > /dev/null 2>&1
-
-                        if [ $? -eq 0 ]; then
-                            echo "[Input Daemon] Ctrl+B sent successfully"
-                        else
-                            echo "[Input Daemon] ERROR: Failed to send Ctrl+B"
-                        fi
-
-                        sleep 1  # Cooldown after control sequence
-                    else
-                        # Normal button - inject text + Enter using AppleScript
-                        echo "[Input Daemon] Button $BUTTON_KEY pressed: '$BUTTON_TEXT' - Injecting via AppleScript"
-
-                        # Use AppleScript to simulate keypresses (requires Accessibility permissions)
-                        osascript -e "tell application \"System Events\" to keystroke \"$BUTTON_TEXT\"" > /dev/null 2>&1
-                        osascript -e 'tell application "System Events" to key code 36' > /dev/null 2>&1
-
-                        if [ $? -eq 0 ]; then
-                            echo "[Input Daemon] Text injected successfully: '$BUTTON_TEXT'"
-                        else
-                            echo "[Input Daemon] ERROR: Failed to inject text via AppleScript"
-                        fi
-
-                        sleep 0.2  # Small cooldown between button presses
-                    fi
-                fi
-            done
+        sleep 1  # Cooldown after control sequence
+    else
+        # Normal button - inject text + Enter using AppleScript
+        echo "[Input Daemon] Button $BUTTON_KEY pressed: '$BUTTON_TEXT' - Injecting via AppleScript"
+
+        # Use AppleScript to simulate keypresses (requires Accessibility permissions)
+        osascript -e "tell application \"System Events\" to keystroke \"$BUTTON_TEXT\"" > /dev/null 2>&1
+        osascript -e 'tell application "System Events" to key code 36' > /dev/null 2>&1
+
+        if [ $? -eq 0 ]; then
+            echo "[Input Daemon] Text injected successfully: '$BUTTON_TEXT'"
+        else
+            echo "[Input Daemon] ERROR: Failed to inject text via AppleScript"
         fi
+
+        sleep 0.2  # Small cooldown between button presses
     fi
+}
+
+# Subscribe to this session's key press stream (Server-Sent Events).
+# Each press is acknowledged after injection; on reconnect the server replays
+# anything after the last handled sequence number.
+LAST_SEQ=0
+STREAM_URL="http://localhost:8081/inputs/stream?session_id=$SESSION_ID&claude_pid=$CLAUDE_PID"
+
+while true; do
+    # Check if Claude process is still alive
+    if ! kill -0 "$CLAUDE_PID" 2>/dev/null; then
+        echo "[Input Daemon] Claude process $CLAUDE_PID died, exiting"
+        exit 0
+    fi
+
+    while IFS= read -r line; do
+        # Heartbeats arrive every 15s, so this also runs while idle
+        if ! kill -0 "$CLAUDE_PID" 2>/dev/null; then
+            echo "[Input Daemon] Claude process $CLAUDE_PID died, exiting"
+            exit 0
+        fi
 
-    # Sleep 100ms between polls
-    sleep 0.1
+        case "$line" in
+            data:*)
+                INPUT="${line#data: }"
+                SEQ=$(echo "$INPUT" | jq -r '.seq')
+                [ "$SEQ" -le "$LAST_SEQ" ] 2>/dev/null && continue  # Already handled
+
+                inject_input "$INPUT"
+                LAST_SEQ="$SEQ"
+
+                curl -s -X POST http://localhost:8081/inputs/ack \
+                  -H 'Content-Type: application/json' \
+                  -d "{\"session_id\":\"$SESSION_ID\",\"seq\":$SEQ}" > /dev/null 2>&1
+                ;;
+        esac
+    done < <(curl -sN "$STREAM_URL&since=$LAST_SEQ" 2>/dev/null)
+
+    # Stream ended (server restart) - reconnect
+    echo "[Input Daemon] Input stream closed, reconnecting..."
+    sleep 1
 done
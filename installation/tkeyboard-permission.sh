@@ -0,0 +1,19 @@
+#!/bin/bash
+# T-Keyboard Permission Hook
+# Register as a PermissionRequest hook for the tools to approve on the keyboard (see
+# tkeyboard-hooks.json), so it only runs when Claude Code would ask. Posts the tool call
+# to the MCP server, which shows Allow once / Allow always / Deny / Show details and
+# holds the request until a key is pressed (120s by default). The answer is printed as
+# the hook's decision. Without one (timeout, server down) Claude Code asks as usual.
+
+# Claude Code runs hooks directly, so our parent is the Claude process.
+# The server uses it to show the request on this Claude session's keys.
+CLAUDE_PID=$PPID
+
+# -f: print nothing on an HTTP error, leaving the decision to Claude Code (as does the
+# server's empty 204 answer when no key was pressed)
+curl -sf -m 250 -X POST "http://localhost:8081/permissions?claude_pid=$CLAUDE_PID" \
+  -H 'Content-Type: application/json' \
+  --data-binary @- 2>/dev/null
+
+exit 0
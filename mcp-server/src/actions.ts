@@ -0,0 +1,208 @@
+import { execFile } from 'child_process';
+import * as fs from 'fs';
+
+/**
+ * Structured button actions.
+ *
+ * What a key does when pressed:
+ * - type_text:    type text, then Enter unless enter is false
+ * - key_sequence: press keys in order ("escape", "ctrl+c", "up", "tab"...)
+ * - macro:        type_text / key_sequence / delay steps in order
+ * - shell:        run a command from the shellActions whitelist in config.local.json (server-side)
+ * - mcp_callback: report the press back to the MCP client instead of typing (server-side)
+ *
+ * The first three are injected into the terminal by input consumers. Plain strings are still
+ * accepted everywhere: "STOP" and "BACKGROUND" become Esc and Ctrl+B, anything else is typed + Enter.
+ */
+
+export type KeyName = string;  // See KEY_PATTERN
+
+export interface TypeTextAction { type: 'type_text'; text: string; enter?: boolean }
+export interface KeySequenceAction { type: 'key_sequence'; keys: KeyName[] }
+export interface DelayStep { type: 'delay'; ms: number }
+export interface MacroAction { type: 'macro'; steps: Array<TypeTextAction | KeySequenceAction | DelayStep> }
+export interface ShellAction { type: 'shell'; command: string }
+export interface McpCallbackAction { type: 'mcp_callback'; name: string; data?: any }
+
+export type Action = TypeTextAction | KeySequenceAction | MacroAction | ShellAction | McpCallbackAction;
+export type InjectableAction = TypeTextAction | KeySequenceAction | MacroAction;
+
+export const ACTION_TYPES = ['type_text', 'key_sequence', 'macro', 'shell', 'mcp_callback'] as const;
+
+// Named keys every injector supports, plus ctrl+<letter>
+export const KEY_NAMES = [
+  'enter', 'escape', 'tab', 'shift+tab', 'backspace', 'delete', 'space',
+  'up', 'down', 'left', 'right', 'home', 'end', 'page_up', 'page_down'
+];
+const KEY_PATTERN = /^ctrl\+[a-z]$/;
+
+const MAX_MACRO_STEPS = 20;
+const MAX_DELAY_MS = 5000;
+const SHELL_TIMEOUT_MS = 60000;
+
+// Legacy action strings with a key meaning
+const LEGACY_KEYS: Record<string, KeyName> = {
+  STOP: 'escape',        // Stop generation
+  BACKGROUND: 'ctrl+b'   // Background the running task
+};
+
+export interface ShellCommand {
+  command: string;
+  args?: string[];
+  cwd?: string;
+}
+
+export function isValidKey(key: string): boolean {
+  return KEY_NAMES.includes(key) || KEY_PATTERN.test(key);
+}
+
+/**
+ * Turn an action as given by a caller (string or object) into a validated Action
+ * @param shellCommands Whitelisted shell commands, to reject unknown names up front
+ * @throws Error describing what is wrong with the action
+ */
+export function normalizeAction(input: unknown, shellCommands: Record<string, ShellCommand> = {}): Action {
+  if (typeof input === 'string') {
+    const key = LEGACY_KEYS[input];
+    return key ? { type: 'key_sequence', keys: [key] } : { type: 'type_text', text: input, enter: input.length > 0 };
+  }
+  if (!input || typeof input !== 'object') {
+    throw new Error('action must be a string or an object with a "type"');
+  }
+
+  const action = input as any;
+  switch (action.type) {
+    case 'type_text':
+    case 'key_sequence':
+      return normalizeStep(action) as TypeTextAction | KeySequenceAction;
+
+    case 'macro': {
+      if (!Array.isArray(action.steps) || action.steps.length === 0 || action.steps.length > MAX_MACRO_STEPS) {
+        throw new Error(`macro needs 1-${MAX_MACRO_STEPS} steps`);
+      }
+      return {
+        type: 'macro',
+        steps: action.steps.map((step: any, index: number) => {
+          try {
+            return normalizeStep(step);
+          } catch (err: any) {
+            throw new Error(`macro step ${index + 1}: ${err.message}`);
+          }
+        })
+      };
+    }
+
+    case 'shell':
+      if (typeof action.command !== 'string' || !shellCommands[action.command]) {
+        const allowed = Object.keys(shellCommands);
+        throw new Error(`shell command "${action.command}" is not in shellActions` +
+          (allowed.length ? ` (allowed: ${allowed.join(', ')})` : ' (none configured)'));
+      }
+      return { type: 'shell', command: action.command };
+
+    case 'mcp_callback':
+      if (typeof action.name !== 'string' || !action.name) {
+        throw new Error('mcp_callback needs a "name"');
+      }
+      return action.data === undefined
+        ? { type: 'mcp_callback', name: action.name }
+        : { type: 'mcp_callback', name: action.name, data: action.data };
+
+    default:
+      throw new Error(`Unknown action type: ${action.type}. Expected one of: ${ACTION_TYPES.join(', ')}`);
+  }
+}
+
+function normalizeStep(step: any): TypeTextAction | KeySequenceAction | DelayStep {
+  switch (step?.type) {
+    case 'type_text':
+      if (typeof step.text !== 'string') throw new Error('type_text needs "text"');
+      return { type: 'type_text', text: step.text, enter: step.enter !== false };
+
+    case 'key_sequence': {
+      if (!Array.isArray(step.keys) || step.keys.length === 0) throw new Error('key_sequence needs "keys"');
+      const keys = step.keys.map((key: any) => String(key).toLowerCase());
+      const invalid = keys.filter((key: string) => !isValidKey(key));
+      if (invalid.length > 0) {
+        throw new Error(`unknown keys: ${invalid.join(', ')} (use ${KEY_NAMES.join(', ')} or ctrl+<letter>)`);
+      }
+      return { type: 'key_sequence', keys };
+    }
+
+    case 'delay': {
+      const ms = Number(step.ms);
+      if (!Number.isFinite(ms) || ms < 0 || ms > MAX_DELAY_MS) throw new Error(`delay "ms" must be 0-${MAX_DELAY_MS}`);
+      return { type: 'delay', ms };
+    }
+
+    default:
+      throw new Error(`step type must be type_text, key_sequence or delay, got ${step?.type}`);
+  }
+}
+
+export function isInjectable(action: Action): action is InjectableAction {
+  return action.type === 'type_text' || action.type === 'key_sequence' || action.type === 'macro';
+}
+
+/**
+ * True for actions that do nothing (blank keys)
+ */
+export function isNoop(action: Action): boolean {
+  return action.type === 'type_text' && action.text === '' && !action.enter;
+}
+
+/**
+ * Plain-string form of an action for older consumers and firmware: the text for type_text,
+ * STOP/BACKGROUND for Esc/Ctrl+B, empty for anything they can't perform
+ */
+export function legacyText(action: Action): string {
+  if (action.type === 'type_text') return action.text;
+  if (action.type === 'key_sequence' && action.keys.length === 1) {
+    return Object.keys(LEGACY_KEYS).find(text => LEGACY_KEYS[text] === action.keys[0]) || '';
+  }
+  return '';
+}
+
+/**
+ * Load the shellActions whitelist from config.local.json: {"shellActions": {"name": {"command", "args", "cwd"}}}
+ */
+export function loadShellCommands(configPath: string): Record<string, ShellCommand> {
+  let section: any;
+  try {
+    section = JSON.parse(fs.readFileSync(configPath, 'utf-8')).shellActions;
+  } catch (err: any) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Actions] Ignoring unreadable config ${configPath}:`, err.message);
+    }
+    return {};
+  }
+  if (!section || typeof section !== 'object') return {};
+
+  const commands: Record<string, ShellCommand> = {};
+  for (const [name, entry] of Object.entries<any>(section)) {
+    if (!entry || typeof entry.command !== 'string' ||
+        (entry.args !== undefined && (!Array.isArray(entry.args) || !entry.args.every((a: any) => typeof a === 'string')))) {
+      console.error(`[Actions] Skipping shell action "${name}": needs "command" and optional string "args"`);
+      continue;
+    }
+    commands[name] = { command: entry.command, args: entry.args, cwd: entry.cwd };
+  }
+  return commands;
+}
+
+/**
+ * Run a whitelisted shell command (no shell involved: command and args are passed as-is)
+ * @returns Exit code (-1 if it could not start or timed out) and the tail of its output
+ */
+export function runShellCommand(shell: ShellCommand): Promise<{ code: number; output: string }> {
+  return new Promise(resolve => {
+    execFile(shell.command, shell.args || [], { cwd: shell.cwd, timeout: SHELL_TIMEOUT_MS }, (err: any, stdout, stderr) => {
+      const output = `${stdout}${stderr}`.trim().slice(-500);
+      if (!err) {
+        resolve({ code: 0, output });
+      } else {
+        resolve({ code: typeof err.code === 'number' ? err.code : -1, output: output || err.message });
+      }
+    });
+  });
+}
@@ -0,0 +1,298 @@
+import * as fs from 'fs';
+import { MAX_OPTIONS } from './pages.js';
+
+/**
+ * Rule-based button advice.
+ *
+ * A rule matches a context (or "*" for any) and optionally a regex on the detail string.
+ * The first matching rule wins: user rules from the rules file are checked before the
+ * built-in ones, and within each list rules with a `match` should come before the
+ * context's catch-all. Regex captures can be used in labels and actions as $1, $2...
+ */
+
+export interface AdvisorRule {
+  context: string;        // Context enum value, or "*" for any context
+  match?: string;         // Case-insensitive regex tested against detail
+  buttons: string[];      // Labels: 4, or up to MAX_OPTIONS to page them
+  emojis: string[];       // One per button
+  actions?: string[];     // One action text per button (default: labels)
+  reasoning?: string;
+}
+
+export interface RuleAdvice {
+  buttons: string[];
+  emojis: string[];
+  actions: string[];
+  reasoning: string;
+}
+
+export const BUILTIN_RULES: AdvisorRule[] = [
+  // git_operations (detail from Claude and/or the git watcher: "on main: 3 files changed, 2 commits ahead").
+  // Branch names can hold any word but no spaces, so patterns match phrases, not lone words.
+  {
+    context: 'git_operations',
+    match: 'merge conflicts?\\b',
+    buttons: ['Resolve conflicts', 'Show conflicts', 'Abort merge', 'Help'],
+    emojis: ['🔧', '⚔️', '🛑', '❓'],
+    actions: ['Resolve the merge conflicts', 'Show me the merge conflicts', 'Abort the merge', 'Help'],
+    reasoning: 'Merge conflict'
+  },
+  {
+    context: 'git_operations',
+    match: '(\\d+ files?) (?:modified|changed|staged)',
+    buttons: ['Commit ($1)', 'Show diff', 'Stage all', 'Skip'],
+    emojis: ['💾', '🔍', '➕', '⏭️'],
+    actions: ['Commit the $1 with changes', 'Show me the diff', 'Stage all changes', 'Skip'],
+    reasoning: 'Uncommitted changes'
+  },
+  {
+    context: 'git_operations',
+    match: '(\\d+) commits? ahead',
+    buttons: ['Push $1', 'Show log', 'Pull first', 'Skip'],
+    emojis: ['🚀', '📜', '⬇️', '⏭️'],
+    actions: ['Push', 'Show the unpushed commits', 'Pull before pushing', 'Skip'],
+    reasoning: 'Unpushed commits'
+  },
+  {
+    context: 'git_operations',
+    match: '(\\d+) commits? behind',
+    buttons: ['Pull $1', 'Rebase', 'Show log', 'Skip'],
+    emojis: ['⬇️', '🔀', '📜', '⏭️'],
+    actions: ['Pull', 'Pull with rebase', 'Show the incoming commits', 'Skip'],
+    reasoning: 'Branch behind remote'
+  },
+  {
+    context: 'git_operations',
+    match: ': clean$|working tree clean|nothing to commit',
+    buttons: ['Status', 'Show log', 'Pull', 'Done'],
+    emojis: ['📋', '📜', '⬇️', '✅'],
+    actions: ['Show git status', 'Show the recent commits', 'Pull', 'Done'],
+    reasoning: 'Working tree clean'
+  },
+  {
+    context: 'git_operations',
+    buttons: ['Commit', 'Show diff', 'Push', 'Status'],
+    emojis: ['💾', '🔍', '🚀', '📋'],
+    actions: ['Commit', 'Show me the diff', 'Push', 'Show git status'],
+    reasoning: 'Git operations'
+  },
+
+  // debugging
+  {
+    context: 'debugging',
+    match: '\\b40[13]\\b|unauthori[sz]ed|forbidden|auth',
+    buttons: ['Check creds', 'Show request', 'Retry', 'Explain'],
+    emojis: ['🔑', '📨', '🔁', '💡'],
+    actions: ['Check the credentials and auth config', 'Show the failing request', 'Retry', 'Explain the auth error'],
+    reasoning: 'Authentication error'
+  },
+  {
+    context: 'debugging',
+    match: '\\b404\\b|not found|enoent',
+    buttons: ['Check path', 'Show logs', 'Retry', 'Explain'],
+    emojis: ['🗺️', '📜', '🔁', '💡'],
+    actions: ['Check the path or URL', 'Show the logs', 'Retry', 'Explain the error'],
+    reasoning: 'Not found error'
+  },
+  {
+    context: 'debugging',
+    match: '\\b5\\d\\d\\b|timeout|timed out|econnrefused',
+    buttons: ['Show logs', 'Retry', 'Check server', 'Explain'],
+    emojis: ['📜', '🔁', '🖥️', '💡'],
+    actions: ['Show the logs', 'Retry', 'Check the server is running', 'Explain the error'],
+    reasoning: 'Server or network error'
+  },
+  {
+    context: 'debugging',
+    match: 'exception|stack ?trace|traceback|typeerror|undefined|null',
+    buttons: ['Show trace', 'Fix it', 'Add logging', 'Explain'],
+    emojis: ['📜', '🔧', '🪵', '💡'],
+    actions: ['Show the stack trace', 'Fix it', 'Add logging around the failure', 'Explain the error'],
+    reasoning: 'Runtime exception'
+  },
+  {
+    context: 'debugging',
+    buttons: ['Fix it', 'Show logs', 'Add logging', 'Explain'],
+    emojis: ['🔧', '📜', '🪵', '💡'],
+    actions: ['Fix it', 'Show the logs', 'Add logging', 'Explain the problem'],
+    reasoning: 'Debugging'
+  },
+
+  // testing
+  {
+    context: 'testing',
+    match: '(\\d+) (?:tests? )?fail',
+    buttons: ['Fix $1 fails', 'Show failure', 'Rerun', 'Skip'],
+    emojis: ['🔧', '🔍', '🔁', '⏭️'],
+    actions: ['Fix the $1 failing tests', 'Show the first failure', 'Rerun the failing tests', 'Skip'],
+    reasoning: 'Failing tests'
+  },
+  {
+    context: 'testing',
+    match: 'pass|green|all tests',
+    buttons: ['Commit', 'Run again', 'Add tests', 'Done'],
+    emojis: ['💾', '🔁', '➕', '✅'],
+    actions: ['Commit', 'Run the tests again', 'Add more tests', 'Done'],
+    reasoning: 'Tests passing'
+  },
+  {
+    context: 'testing',
+    buttons: ['Run tests', 'Fix fails', 'Rerun', 'Stop'],
+    emojis: ['🧪', '🔧', '🔁', '🛑'],
+    actions: ['Run the tests', 'Fix the failing tests', 'Rerun the tests', 'STOP'],
+    reasoning: 'Testing'
+  },
+
+  // question_yesno
+  {
+    context: 'question_yesno',
+    buttons: ['Yes', 'No', 'Explain', 'Stop'],
+    emojis: ['✅', '❌', '💡', '🛑'],
+    actions: ['Yes', 'No', 'Explain that in more detail first', 'STOP'],
+    reasoning: 'Yes/no question'
+  },
+
+  // question_choice
+  {
+    context: 'question_choice',
+    match: '\\b2 (?:options|choices)',
+    buttons: ['1', '2', 'Explain', 'Other'],
+    emojis: ['1️⃣', '2️⃣', '💡', '💬'],
+    actions: ['1', '2', 'Explain the options', 'None of these'],
+    reasoning: 'Two choices'
+  },
+  {
+    context: 'question_choice',
+    buttons: ['1', '2', '3', 'Other'],
+    emojis: ['1️⃣', '2️⃣', '3️⃣', '💬'],
+    actions: ['1', '2', '3', 'None of these'],
+    reasoning: 'Multiple choice'
+  },
+
+  // file_operations
+  {
+    context: 'file_operations',
+    match: 'delet|remov|overwrit',
+    buttons: ['Confirm', 'Cancel', 'Show files', 'Backup'],
+    emojis: ['⚠️', '❌', '📂', '💾'],
+    actions: ['Yes, go ahead', 'No, cancel that', 'Show me the affected files', 'Back up the files first'],
+    reasoning: 'Destructive file operation'
+  },
+  {
+    context: 'file_operations',
+    buttons: ['Proceed', 'Show diff', 'Undo', 'Help'],
+    emojis: ['▶️', '🔍', '↩️', '❓'],
+    actions: ['Proceed', 'Show me the diff', 'Undo that change', 'Help'],
+    reasoning: 'File operations'
+  },
+
+  // default (and any unknown context)
+  {
+    context: '*',
+    buttons: ['Yes', 'No', 'Proceed', 'Help'],
+    emojis: ['✅', '❌', '▶️', '❓'],
+    actions: ['Yes', 'No', 'Proceed', 'Help'],
+    reasoning: 'Default buttons'
+  }
+];
+
+// Cache of the user rules file, reloaded when its mtime changes
+let userRules: { path: string; mtimeMs: number; rules: AdvisorRule[] } | null = null;
+
+/**
+ * Load user rules from a JSON file ({"rules": [...]} or a bare array).
+ * Missing file means no user rules; invalid rules are skipped with a warning.
+ */
+export function loadUserRules(rulesPath: string | undefined): AdvisorRule[] {
+  if (!rulesPath) return [];
+
+  let stat: fs.Stats;
+  try {
+    stat = fs.statSync(rulesPath);
+  } catch {
+    return [];
+  }
+
+  if (userRules && userRules.path === rulesPath && userRules.mtimeMs === stat.mtimeMs) {
+    return userRules.rules;
+  }
+
+  let rules: AdvisorRule[] = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(rulesPath, 'utf-8'));
+    const list = Array.isArray(parsed) ? parsed : parsed.rules;
+    if (!Array.isArray(list)) {
+      throw new Error('expected {"rules": [...]}');
+    }
+
+    rules = list.filter((rule: any, index: number) => {
+      const problem = validateRule(rule);
+      if (problem) {
+        console.error(`[Rules] Skipping rule ${index} in ${rulesPath}: ${problem}`);
+      }
+      return !problem;
+    });
+    console.log(`[Rules] Loaded ${rules.length} rules from ${rulesPath}`);
+  } catch (err: any) {
+    console.error(`[Rules] Ignoring ${rulesPath}: ${err.message}`);
+  }
+
+  userRules = { path: rulesPath, mtimeMs: stat.mtimeMs, rules };
+  return rules;
+}
+
+function validateRule(rule: any): string | null {
+  if (!rule || typeof rule.context !== 'string') return 'missing "context"';
+  const count = Array.isArray(rule.buttons) ? rule.buttons.length : 0;
+  if (count < 1 || count > MAX_OPTIONS) return `"buttons" must have 1-${MAX_OPTIONS} entries`;
+  for (const key of ['buttons', 'emojis', 'actions']) {
+    const value = rule[key];
+    if (value === undefined && key === 'actions') continue;
+    if (!Array.isArray(value) || value.length !== count || !value.every((v: any) => typeof v === 'string')) {
+      return `"${key}" must be ${count} strings`;
+    }
+  }
+  if (rule.match !== undefined) {
+    try {
+      new RegExp(rule.match, 'i');
+    } catch (err: any) {
+      return `invalid "match" regex: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the first rule matching context and detail, with $N captures substituted
+ */
+export function matchRule(rules: AdvisorRule[], context: string, detail: string): RuleAdvice {
+  for (const rule of rules) {
+    if (rule.context !== context && rule.context !== '*') continue;
+
+    let captures: string[] = [];
+    if (rule.match) {
+      const found = new RegExp(rule.match, 'i').exec(detail);
+      if (!found) continue;
+      captures = found.map(c => c || '');
+    }
+
+    // Trimmed, so an optional capture that didn't match leaves no trailing space ("Push $1")
+    const fill = (text: string) => text.replace(/\$(\d)/g, (_, n) => captures[Number(n)] || '').trim();
+    const buttons = rule.buttons.map(fill);
+    return {
+      buttons,
+      emojis: rule.emojis,
+      actions: rule.actions ? rule.actions.map(fill) : buttons,
+      reasoning: rule.reasoning || `Rule for ${rule.context}${rule.match ? ` /${rule.match}/` : ''}`
+    };
+  }
+
+  // BUILTIN_RULES ends with a catch-all, so only reached for custom rule lists
+  const fallback = BUILTIN_RULES[BUILTIN_RULES.length - 1];
+  return {
+    buttons: fallback.buttons,
+    emojis: fallback.emojis,
+    actions: fallback.actions!,
+    reasoning: fallback.reasoning!
+  };
+}
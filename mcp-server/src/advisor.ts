@@ -0,0 +1,359 @@
+import { spawn } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { BUILTIN_RULES, loadUserRules, matchRule } from './advisor-rules.js';
+import { MAX_OPTIONS } from './pages.js';
+
+/**
+ * Button advisor providers.
+ *
+ * An advisor turns a work context ("git_operations", "3 files modified") into button
+ * labels with emojis - usually four, more when there are more choices (they are paged). The provider is chosen from config:
+ * - rules:   context + detail regex rules (default, instant - see advisor-rules.ts)
+ * - command: external command, prompt on stdin, JSON on stdout
+ * - http:    OpenAI- or Anthropic-style chat completion endpoint
+ */
+
+export interface AdvisorRequest {
+  context: string;
+  detail: string;
+  currentState?: any;
+}
+
+export interface AdvisorResult {
+  buttons: string[];
+  emojis: string[];
+  actions?: string[];  // Text injected on press (default: button labels)
+  reasoning: string;
+}
+
+export interface AdvisorProvider {
+  name: string;
+  advise(request: AdvisorRequest, signal: AbortSignal): Promise<AdvisorResult>;
+  fallback?: AdvisorProvider;  // Used when advise() fails or times out
+}
+
+export interface AdvisorConfig {
+  provider: 'rules' | 'command' | 'http';
+  command?: string;                 // command provider: shell command line
+  url?: string;                     // http provider: endpoint URL
+  api?: 'openai' | 'anthropic';     // http provider: request/response format
+  model?: string;
+  apiKey?: string;
+  rulesFile?: string;               // User rules, checked before the built-in rules
+  timeoutMs: number;
+}
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+const SYSTEM_PROMPT = `You choose buttons for a 4-key macro keyboard used to answer Claude Code.
+Output ONLY raw JSON, no markdown, no conversation, no code blocks.
+Required output format - ONLY this structure, nothing else:
+{"buttons":["...","...","...","..."],"emojis":["...","...","...","..."],"reasoning":"..."}
+Give 4 buttons, or up to ${MAX_OPTIONS} when there are more distinct choices (the keyboard pages them
+three at a time). Buttons are short labels (max 12 characters). Use full-color emoji (✅ not ✓), one per button.
+Optionally add "actions":["...","...","...","..."] with the text typed when each button is pressed.`;
+
+// AI advisors often return simple unicode despite instructions
+const BAD_EMOJI_MAP: Record<string, string> = {
+  '✓': '✅', '✗': '❌', '?': '❓',
+  '→': '▶️', '←': '◀️', '↑': '⏫', '↓': '⏬',
+  '•': '🔘', '○': '⚪', '◦': '⚪'
+};
+
+/**
+ * Load advisor config from config.local.json ("advisor" section), overridden by environment:
+ * TKEYBOARD_ADVISOR, TKEYBOARD_ADVISOR_COMMAND, TKEYBOARD_ADVISOR_URL, TKEYBOARD_ADVISOR_API,
+ * TKEYBOARD_ADVISOR_MODEL, TKEYBOARD_ADVISOR_API_KEY, TKEYBOARD_ADVISOR_RULES, TKEYBOARD_ADVISOR_TIMEOUT_MS
+ * The rules file defaults to advisor-rules.json next to the config file.
+ */
+export function loadAdvisorConfig(configPath: string): AdvisorConfig {
+  let fileConfig: Partial<AdvisorConfig> = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8')).advisor || {};
+  } catch (err: any) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Advisor] Ignoring unreadable config ${configPath}:`, err.message);
+    }
+  }
+
+  const env = process.env;
+  let timeoutMs = Number(env.TKEYBOARD_ADVISOR_TIMEOUT_MS || fileConfig.timeoutMs || DEFAULT_TIMEOUT_MS);
+  if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+    console.error(`[Advisor] Invalid timeout, using ${DEFAULT_TIMEOUT_MS}ms`);
+    timeoutMs = DEFAULT_TIMEOUT_MS;
+  }
+
+  const config: AdvisorConfig = {
+    provider: (env.TKEYBOARD_ADVISOR as AdvisorConfig['provider']) || fileConfig.provider || 'rules',
+    command: env.TKEYBOARD_ADVISOR_COMMAND || fileConfig.command,
+    url: env.TKEYBOARD_ADVISOR_URL || fileConfig.url,
+    api: (env.TKEYBOARD_ADVISOR_API as AdvisorConfig['api']) || fileConfig.api || 'openai',
+    model: env.TKEYBOARD_ADVISOR_MODEL || fileConfig.model,
+    apiKey: env.TKEYBOARD_ADVISOR_API_KEY || fileConfig.apiKey,
+    rulesFile: env.TKEYBOARD_ADVISOR_RULES || fileConfig.rulesFile ||
+      path.join(path.dirname(configPath), 'advisor-rules.json'),
+    timeoutMs
+  };
+
+  // Fall back to the standard key for the chosen API
+  if (!config.apiKey) {
+    config.apiKey = config.api === 'anthropic' ? env.ANTHROPIC_API_KEY : env.OPENAI_API_KEY;
+  }
+
+  return config;
+}
+
+/**
+ * Create the provider selected by config. A provider that is misconfigured is
+ * logged and replaced by the rules provider.
+ */
+export function createAdvisor(config: AdvisorConfig): AdvisorProvider {
+  const rules = createRulesAdvisor(config.rulesFile);
+
+  switch (config.provider) {
+    case 'rules':
+      return rules;
+    case 'command':
+      if (config.command) return { ...createCommandAdvisor(config.command), fallback: rules };
+      console.error('[Advisor] Provider "command" requires a command, using rules');
+      return rules;
+    case 'http':
+      if (config.url) return { ...createHttpAdvisor(config), fallback: rules };
+      console.error('[Advisor] Provider "http" requires a url, using rules');
+      return rules;
+    default:
+      console.error(`[Advisor] Unknown provider "${config.provider}", using rules`);
+      return rules;
+  }
+}
+
+/**
+ * Ask the advisor for buttons, with timeout and schema validation.
+ * Never throws: any failure falls back to the provider's fallback (rule-based advice).
+ */
+export async function adviseButtons(
+  provider: AdvisorProvider,
+  request: AdvisorRequest,
+  timeoutMs: number
+): Promise<AdvisorResult> {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    console.log(`[Advisor] Asking ${provider.name} advisor...`);
+    const raw = await provider.advise(request, controller.signal);
+    const result = normalizeEmojis(validateAdvice(raw));
+    console.log(`[Advisor] ${provider.name} response:`, result);
+    return result;
+  } catch (error: any) {
+    const reason = controller.signal.aborted ? `timed out after ${timeoutMs}ms` : error.message;
+    console.error(`[Advisor] ${provider.name} advisor failed: ${reason}`);
+
+    const fallback = await fallbackAdvice(provider, request);
+    return { ...fallback, reasoning: `Fallback due to advisor error: ${reason}` };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Advice from the provider's fallback, checked like any other. The built-in rules are the
+ * last resort. The fallback gets its own signal since the failed request's may have aborted.
+ */
+async function fallbackAdvice(provider: AdvisorProvider, request: AdvisorRequest): Promise<AdvisorResult> {
+  const fallback = provider.fallback || createRulesAdvisor();
+  try {
+    return normalizeEmojis(validateAdvice(await fallback.advise(request, new AbortController().signal)));
+  } catch (err: any) {
+    console.error(`[Advisor] ${fallback.name} fallback failed: ${err.message}`);
+    return matchRule(BUILTIN_RULES, request.context, request.detail || '');
+  }
+}
+
+/**
+ * Check advisor output against the expected schema
+ */
+export function validateAdvice(raw: any): AdvisorResult {
+  if (!raw || typeof raw !== 'object') {
+    throw new Error('Advice must be a JSON object');
+  }
+
+  const { buttons, emojis, reasoning } = raw;
+  if (!Array.isArray(buttons) || buttons.length < 1 || buttons.length > MAX_OPTIONS ||
+      !buttons.every(b => typeof b === 'string' && b.trim().length > 0)) {
+    throw new Error(`Advice "buttons" must be 1-${MAX_OPTIONS} non-empty strings`);
+  }
+  if (!Array.isArray(emojis) || emojis.length !== buttons.length || !emojis.every(e => typeof e === 'string')) {
+    throw new Error('Advice "emojis" must be one string per button');
+  }
+  const { actions } = raw;
+  if (actions !== undefined &&
+      (!Array.isArray(actions) || actions.length !== buttons.length || !actions.every(a => typeof a === 'string'))) {
+    throw new Error('Advice "actions" must be one string per button if present');
+  }
+
+  return {
+    buttons: buttons.map((b: string) => b.trim()),
+    emojis,
+    actions,
+    reasoning: typeof reasoning === 'string' ? reasoning : ''
+  };
+}
+
+function normalizeEmojis(result: AdvisorResult): AdvisorResult {
+  return {
+    ...result,
+    emojis: result.emojis.map(emoji => {
+      if (BAD_EMOJI_MAP[emoji]) {
+        console.log(`[Advisor] Fixed bad emoji: ${emoji} → ${BAD_EMOJI_MAP[emoji]}`);
+        return BAD_EMOJI_MAP[emoji];
+      }
+      return emoji;
+    })
+  };
+}
+
+/**
+ * Extract a JSON object from model output (may be wrapped in markdown code blocks)
+ */
+export function extractJson(text: string): any {
+  let jsonText = text.trim();
+
+  // Remove "Tip:" line if present
+  jsonText = jsonText.replace(/^Tip:.*\n/, '');
+
+  // Extract from markdown code blocks if present
+  const codeBlockMatch = jsonText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
+  if (codeBlockMatch) {
+    jsonText = codeBlockMatch[1];
+  } else {
+    // Try to find JSON object directly
+    const jsonMatch = jsonText.match(/\{[\s\S]*"buttons"[\s\S]*?\}/);
+    if (jsonMatch) {
+      jsonText = jsonMatch[0];
+    }
+  }
+
+  return JSON.parse(jsonText);
+}
+
+function buildPrompt(request: AdvisorRequest): string {
+  return `${SYSTEM_PROMPT}
+
+Input: ${JSON.stringify(request)}`;
+}
+
+/**
+ * Offline advisor: user rules file, then built-in rules (context + detail regex)
+ */
+function createRulesAdvisor(rulesFile?: string): AdvisorProvider {
+  return {
+    name: 'rules',
+    async advise(request) {
+      const rules = [...loadUserRules(rulesFile), ...BUILTIN_RULES];
+      return matchRule(rules, request.context, request.detail || '');
+    }
+  };
+}
+
+/**
+ * External command advisor: prompt on stdin, JSON on stdout
+ */
+function createCommandAdvisor(command: string): AdvisorProvider {
+  return {
+    name: 'command',
+    advise(request, signal) {
+      return new Promise((resolve, reject) => {
+        // Own process group so a timeout also kills whatever the shell started
+        const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'], detached: true });
+        const onAbort = () => {
+          try {
+            process.kill(-child.pid!, 'SIGTERM');
+          } catch {
+            // Already exited
+          }
+          reject(new Error('Command aborted'));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', chunk => stdout += chunk);
+        child.stderr.on('data', chunk => stderr += chunk);
+
+        child.on('error', reject);
+        child.on('close', (code) => {
+          signal.removeEventListener('abort', onAbort);
+          if (code !== 0) {
+            reject(new Error(`Command exited with code ${code}: ${stderr.trim().substring(0, 200)}`));
+            return;
+          }
+          try {
+            resolve(extractJson(stdout));
+          } catch (err: any) {
+            reject(new Error(`Command output is not JSON: ${err.message}`));
+          }
+        });
+
+        child.stdin.on('error', () => {});  // Command may exit without reading stdin
+        child.stdin.end(buildPrompt(request));
+      });
+    }
+  };
+}
+
+/**
+ * HTTP advisor: OpenAI (chat/completions) or Anthropic (messages) request format
+ */
+function createHttpAdvisor(config: AdvisorConfig): AdvisorProvider {
+  return {
+    name: 'http',
+    async advise(request, signal) {
+      const input = `Input: ${JSON.stringify(request)}`;
+      const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+      let body: any;
+
+      if (config.api === 'anthropic') {
+        if (config.apiKey) headers['x-api-key'] = config.apiKey;
+        headers['anthropic-version'] = '2023-06-01';
+        body = {
+          model: config.model,
+          max_tokens: 300,
+          system: SYSTEM_PROMPT,
+          messages: [{ role: 'user', content: input }]
+        };
+      } else {
+        if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+        body = {
+          model: config.model,
+          messages: [
+            { role: 'system', content: SYSTEM_PROMPT },
+            { role: 'user', content: input }
+          ]
+        };
+      }
+
+      const response = await fetch(config.url!, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${(await response.text()).substring(0, 200)}`);
+      }
+
+      const data: any = await response.json();
+      const text = config.api === 'anthropic'
+        ? data.content?.find((part: any) => part.type === 'text')?.text
+        : data.choices?.[0]?.message?.content;
+
+      if (typeof text !== 'string') {
+        throw new Error('Response has no message text');
+      }
+      return extractJson(text);
+    }
+  };
+}
@@ -0,0 +1,89 @@
+import { Action, ShellCommand, normalizeAction } from './actions.js';
+import { KEY_COUNT } from './pages.js';
+
+/**
+ * Key gestures.
+ *
+ * Besides a tap, the firmware reports a long press, a double tap, or a chord (two keys
+ * held together). An option can give each gesture its own action, e.g. tap = "Yes",
+ * long press = "Yes, and don't ask again". update_options lists the gestures each key
+ * accepts so the firmware only delays reporting a press to tell gestures apart on keys
+ * where that matters.
+ */
+
+export type Gesture = 'tap' | 'long_press' | 'double_tap' | 'chord';
+
+export interface Chord {
+  keys: number[];  // Two physical keys (1-4), sorted
+  action: Action;
+  label?: string;
+}
+
+// Keys 1+4 together enter WiFi setup on the firmware
+const RESERVED_CHORD = '1+4';
+
+export function chordName(keys: number[]): string {
+  return [...keys].sort((a, b) => a - b).join('+');
+}
+
+/**
+ * Validate per-option actions for a gesture: one entry per button, null or "" for none
+ * @returns undefined if no option has one
+ */
+export function parseGestureActions(
+  input: unknown,
+  count: number,
+  gesture: string,
+  shellCommands: Record<string, ShellCommand>
+): Array<Action | null> | undefined {
+  if (input === undefined || input === null) return undefined;
+  if (!Array.isArray(input) || input.length > count) {
+    throw new Error(`${gesture} actions must be an array with at most one entry per button`);
+  }
+
+  const actions = Array.from({ length: count }, (_, index) => {
+    const entry = input[index];
+    if (entry === undefined || entry === null || entry === '') return null;
+    try {
+      return normalizeAction(entry, shellCommands);
+    } catch (err: any) {
+      throw new Error(`Button ${index + 1} ${gesture} action: ${err.message}`);
+    }
+  });
+  return actions.some(action => action !== null) ? actions : undefined;
+}
+
+/**
+ * Validate chords: [{keys: [1, 2], action, label?}], two physical keys each
+ */
+export function parseChords(input: unknown, shellCommands: Record<string, ShellCommand>): Chord[] | undefined {
+  if (input === undefined || input === null) return undefined;
+  if (!Array.isArray(input)) {
+    throw new Error('chords must be an array of {keys, action}');
+  }
+
+  const seen = new Set<string>();
+  const chords = input.map((chord: any, index: number) => {
+    const keys = Array.isArray(chord?.keys) ? [...new Set<number>(chord.keys.map(Number))].sort((a, b) => a - b) : [];
+    if (keys.length !== 2 || !keys.every(key => Number.isInteger(key) && key >= 1 && key <= KEY_COUNT)) {
+      throw new Error(`Chord ${index + 1}: "keys" must be two different keys from 1-${KEY_COUNT}`);
+    }
+    const name = chordName(keys);
+    if (name === RESERVED_CHORD) {
+      throw new Error(`Chord ${index + 1}: keys ${RESERVED_CHORD} are reserved for WiFi setup`);
+    }
+    if (seen.has(name)) {
+      throw new Error(`Chord ${index + 1}: keys ${name} are used twice`);
+    }
+    seen.add(name);
+
+    let action: Action;
+    try {
+      action = normalizeAction(chord.action, shellCommands);
+    } catch (err: any) {
+      throw new Error(`Chord ${index + 1} action: ${err.message}`);
+    }
+    return typeof chord.label === 'string' ? { keys, action, label: chord.label } : { keys, action };
+  });
+  return chords.length > 0 ? chords : undefined;
+}
@@ -0,0 +1,174 @@
+import { execFile } from 'child_process';
+import * as fs from 'fs';
+import * as path from 'path';
+import { promisify } from 'util';
+
+/**
+ * Git repository watcher.
+ *
+ * Polls `git status` in a configured working directory (and re-reads it as soon as
+ * anything under .git changes: staging, commits, fetches, merges) and reports the state
+ * when it changes. The server turns the state into the detail string of the
+ * git_operations context, so the advisor suggests "Commit (3 files)", "Push 2" or
+ * "Resolve conflicts" without Claude describing the repository.
+ */
+
+const execFileAsync = promisify(execFile);
+
+const GIT_TIMEOUT_MS = 10000;
+const GIT_DIR_DEBOUNCE_MS = 300;  // git rewrites several files per command
+
+export interface GitWatchConfig {
+  dir?: string;        // Working directory to watch; unset disables the watcher
+  intervalMs: number;
+}
+
+export interface GitState {
+  branch: string;      // "(detached)" when HEAD is detached
+  changed: number;     // Files with any change, untracked included
+  staged: number;
+  untracked: number;
+  conflicts: number;   // Unmerged files
+  ahead: number;       // Commits not on the upstream branch (0 without one)
+  behind: number;
+}
+
+/**
+ * Load watcher config from config.local.json ("git" section: {"dir", "intervalMs"}),
+ * overridden by TKEYBOARD_GIT_DIR and TKEYBOARD_GIT_INTERVAL_MS
+ */
+export function loadGitConfig(configPath: string): GitWatchConfig {
+  let fileConfig: Partial<GitWatchConfig> = {};
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf-8')).git || {};
+  } catch (err: any) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[Git] Ignoring unreadable config ${configPath}:`, err.message);
+    }
+  }
+
+  const dir = process.env.TKEYBOARD_GIT_DIR || fileConfig.dir;
+  return {
+    dir: dir ? path.resolve(path.dirname(configPath), dir) : undefined,
+    intervalMs: parseInt(process.env.TKEYBOARD_GIT_INTERVAL_MS || String(fileConfig.intervalMs || 5000))
+  };
+}
+
+/**
+ * Read a working directory's state with `git status --porcelain=v2 --branch`
+ * @throws Error if git fails (not a repository, git not installed)
+ */
+export async function readGitState(dir: string): Promise<GitState> {
+  // No optional locks: a background status must not rewrite the index (and trigger the .git watch)
+  const { stdout } = await git(dir, ['--no-optional-locks', 'status', '--porcelain=v2', '--branch']);
+  const state: GitState = { branch: '', changed: 0, staged: 0, untracked: 0, conflicts: 0, ahead: 0, behind: 0 };
+
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith('# branch.head ')) {
+      state.branch = line.slice('# branch.head '.length);
+    } else if (line.startsWith('# branch.ab ')) {
+      const [, ahead, behind] = /\+(\d+) -(\d+)/.exec(line) || [];
+      state.ahead = parseInt(ahead) || 0;
+      state.behind = parseInt(behind) || 0;
+    } else if (line.startsWith('1 ') || line.startsWith('2 ')) {
+      // "1 XY ...": X is the staged change, Y the unstaged one, "." for none
+      state.changed++;
+      if (line[2] !== '.') state.staged++;
+    } else if (line.startsWith('u ')) {
+      state.changed++;
+      state.conflicts++;
+    } else if (line.startsWith('? ')) {
+      state.changed++;
+      state.untracked++;
+    }
+  }
+  return state;
+}
+
+/**
+ * Describe a state for the advisor, e.g. "on main: 3 files changed (1 staged), 2 commits ahead"
+ */
+export function describeGitState(state: GitState): string {
+  const plural = (count: number, word: string) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts: string[] = [];
+
+  if (state.conflicts) parts.push(plural(state.conflicts, 'merge conflict'));
+  if (state.changed) parts.push(`${plural(state.changed, 'file')} changed${state.staged ? ` (${state.staged} staged)` : ''}`);
+  if (state.ahead) parts.push(`${plural(state.ahead, 'commit')} ahead`);
+  if (state.behind) parts.push(`${plural(state.behind, 'commit')} behind`);
+
+  return `on ${state.branch}: ${parts.join(', ') || 'clean'}`;
+}
+
+/**
+ * Watch a working directory, calling onChange with the first state and whenever it changes
+ * @returns Function that stops watching
+ */
+export function watchGit(config: GitWatchConfig & { dir: string }, onChange: (state: GitState) => void): () => void {
+  let lastState = '';
+  let lastError = '';
+  let running = false;
+  let again = false;
+  let debounce: NodeJS.Timeout | undefined;
+  let watcher: fs.FSWatcher | null = null;
+
+  const refresh = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      const state = await readGitState(config.dir);
+      lastError = '';
+      if (JSON.stringify(state) !== lastState) {
+        lastState = JSON.stringify(state);
+        console.log(`[Git] ${describeGitState(state)}`);
+        onChange(state);
+      }
+    } catch (err: any) {
+      // Log each new problem once, not every poll
+      if (err.message !== lastError) {
+        lastError = err.message;
+        console.error(`[Git] Cannot read ${config.dir}: ${err.message}`);
+      }
+    } finally {
+      running = false;
+      if (again) {
+        again = false;
+        refresh();
+      }
+    }
+  };
+
+  const timer = setInterval(refresh, config.intervalMs);
+  refresh();
+
+  git(config.dir, ['rev-parse', '--absolute-git-dir'])
+    .then(({ stdout }) => {
+      watcher = fs.watch(stdout.trim(), () => {
+        clearTimeout(debounce);
+        debounce = setTimeout(refresh, GIT_DIR_DEBOUNCE_MS);
+      });
+      watcher.on('error', (err) => console.error('[Git] Stopped watching .git:', err.message));
+    })
+    .catch(() => {
+      // Not a repository (yet) - polling reports it and picks it up later
+    });
+
+  console.log(`[Git] Watching ${config.dir} every ${config.intervalMs}ms`);
+  return () => {
+    clearInterval(timer);
+    clearTimeout(debounce);
+    watcher?.close();
+  };
+}
+
+async function git(dir: string, args: string[]) {
+  try {
+    return await execFileAsync('git', args, { cwd: dir, timeout: GIT_TIMEOUT_MS });
+  } catch (err: any) {
+    const detail = err.code === 'ENOENT' ? 'git not installed or directory missing' : (err.stderr || err.message).toString().trim();
+    throw new Error(detail);
+  }
+}
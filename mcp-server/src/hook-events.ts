@@ -0,0 +1,144 @@
+import * as path from 'path';
+
+/**
+ * Claude Code hook payloads.
+ *
+ * Claude Code pipes a JSON payload to each hook command on stdin. It holds
+ * hook_event_name plus per-event fields: tool_name, tool_input and tool_response for
+ * tool hooks, message for notifications, prompt for prompt submits.
+ * installation/tkeyboard-hook.sh forwards it unchanged to POST /hooks. inferHookEvent
+ * turns it into a lifecycle event (see STATE_EVENTS in the server) and, where the payload
+ * shows what Claude is doing, a context for the advisor.
+ */
+
+export interface HookPayload {
+  hook_event_name?: string;
+  tool_name?: string;
+  tool_input?: any;
+  tool_response?: any;
+  error?: string;      // PostToolUseFailure
+  message?: string;    // Notification
+  [key: string]: unknown;
+}
+
+export interface HookInference {
+  event?: string;                                // Lifecycle event, if the hook changes the state
+  context?: { type: string; detail: string };
+  permission?: boolean;                          // The context is a permission question
+}
+
+const MAX_DETAIL = 200;
+
+const TEST_COMMAND = new RegExp([
+  '\\b(?:npm|pnpm|yarn|bun)\\s+(?:run\\s+)?test',
+  '\\b(?:jest|vitest|mocha|ava|pytest|tox|rspec|phpunit)\\b',
+  '\\b(?:go|cargo|dotnet|deno|mix|swift)\\s+test\\b',
+  '\\bpython3?\\s+-m\\s+(?:pytest|unittest)\\b',
+  '\\b(?:make|mvn|gradlew?)\\s+(?:\\S+\\s+)*?\\S*test'
+].join('|'));
+const GIT_COMMAND = /(?:^|[;&|(]\s*)git\s+(?:-\S+\s+)*([a-z-]+)/;
+const REMOVE_COMMAND = /(?:^|[;&|(]\s*)(?:rm|rmdir|git\s+rm)\s/;
+const FILE_TOOLS: Record<string, string> = {
+  Edit: 'editing',
+  MultiEdit: 'editing',
+  Write: 'writing',
+  NotebookEdit: 'editing'
+};
+
+/**
+ * Map a hook payload to a lifecycle event and context. Events the keyboard doesn't
+ * follow (e.g. SubagentStop) give an empty inference.
+ */
+export function inferHookEvent(payload: HookPayload): HookInference {
+  switch (payload.hook_event_name) {
+    case 'UserPromptSubmit':
+      return { event: 'thinking_start' };
+
+    case 'PreToolUse':
+      return { event: 'tool_start', context: toolContext(payload) };
+
+    case 'PostToolUse':
+    case 'PostToolUseFailure':
+      return { event: 'tool_end', context: toolContext(payload, toolOutput(payload)) };
+
+    case 'PermissionRequest':
+      return {
+        event: 'thinking_end',
+        context: { type: 'question_yesno', detail: clip(`Allow ${payload.tool_name}: ${describeToolInput(payload)}`) },
+        permission: true
+      };
+
+    case 'Notification':
+      // "Claude needs your permission to use Bash" - Claude waits for an answer, so drop STOP
+      if (/permission/i.test(payload.message || '')) {
+        return {
+          event: 'thinking_end',
+          context: { type: 'question_yesno', detail: clip(payload.message!) },
+          permission: true
+        };
+      }
+      return { event: 'thinking_end' };  // e.g. "Claude is waiting for your input"
+
+    case 'Stop':
+      return { event: 'thinking_end' };
+
+    default:
+      return {};
+  }
+}
+
+// What a tool call is about; with output (PostToolUse) also how it went
+function toolContext(payload: HookPayload, output?: string): HookInference['context'] {
+  const input = payload.tool_input || {};
+
+  if (payload.tool_name === 'Bash' && typeof input.command === 'string') {
+    const command: string = input.command;
+    if (TEST_COMMAND.test(command)) {
+      return { type: 'testing', detail: output === undefined ? clip(`running ${command}`) : testResult(output) };
+    }
+    const git = GIT_COMMAND.exec(command);
+    if (git) {
+      const conflict = output !== undefined && /\bCONFLICT\b/.test(output);
+      return { type: 'git_operations', detail: `git ${git[1]}${conflict ? ': merge conflict' : ''}` };
+    }
+    if (REMOVE_COMMAND.test(command)) {
+      return { type: 'file_operations', detail: clip(`removing files: ${command}`) };
+    }
+    return undefined;
+  }
+
+  const verb = FILE_TOOLS[payload.tool_name || ''];
+  const file = input.file_path || input.notebook_path;
+  if (verb && typeof file === 'string') {
+    return { type: 'file_operations', detail: `${verb} ${path.basename(file)}` };
+  }
+  return undefined;
+}
+
+// Summarize a test command's output for the testing rules ("3 tests failed", "all tests passed")
+function testResult(output: string): string {
+  const failed = /(\d+) (?:tests? )?(?:failed|failing|failures?)\b/i.exec(output);
+  const count = failed ? parseInt(failed[1]) : 0;
+  if (count > 0) return `${count} test${count === 1 ? '' : 's'} failed`;
+  if (/^(?:FAIL\b|not ok\b)|\bFAILED\b|AssertionError/m.test(output)) return 'tests failed';
+  return 'all tests passed';
+}
+
+// Bash output (stdout and stderr), or a failed tool's error
+function toolOutput(payload: HookPayload): string {
+  const response = payload.tool_response;
+  if (typeof response === 'string') return [response, payload.error || ''].join('\n');
+  return [response?.stdout, response?.stderr, response?.output, payload.error].filter(value => typeof value === 'string').join('\n');
+}
+
+/**
+ * What a tool call is for: its command, file, URL or search pattern
+ */
+export function describeToolInput(payload: HookPayload): string {
+  const input = payload.tool_input || {};
+  return String(input.command ?? input.file_path ?? input.notebook_path ?? input.url ?? input.pattern ?? JSON.stringify(input));
+}
+
+function clip(text: string): string {
+  return text.length > MAX_DETAIL ? text.slice(0, MAX_DETAIL - 3) + '...' : text;
+}
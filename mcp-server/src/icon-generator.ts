@@ -1,62 +1,198 @@
-import { execSync } from 'child_process';
 import * as fs from 'fs';
 import * as path from 'path';
 import * as crypto from 'crypto';
+import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const CACHE_DIR = path.join(__dirname, '../../images/cache');
+
+/**
+ * Icon to render (see renderIcon in icon-scripts/generate-images.js)
+ */
+export type IconSpec =
+  | { type: 'counter'; value: number; label: string; color: string }
+  | { type: 'progress'; done: number; total: number; color: string }
+  | TileSpec
+  | AnimationSpec
+  | ImageSpec;
+
 /**
- * Generate hash from emoji content (used for cache key)
+ * Composite tile: an emoji over a label, or a label alone, auto-fitted to the display
  */
-function hashEmoji(emoji: string): string {
-  return crypto.createHash('md5').update(emoji).digest('hex').substring(0, 8);
+export interface TileSpec {
+  type: 'tile';
+  layout: 'emoji-label' | 'label';
+  label: string;
+  emoji?: string;                                      // Required by emoji-label
+  color?: string;                                      // Label color (default white)
+  background?: string;                                 // Default black
+  border?: string;                                     // Frame color, e.g. for the focused or default key
+  badge?: string | number | { text: string | number; color?: string };  // Top right, e.g. a count
 }
 
+export type AnimationName = 'spinner' | 'pulse' | 'sweep' | 'blink' | 'marquee' | 'dots';
+export const ANIMATIONS: AnimationName[] = ['spinner', 'pulse', 'sweep', 'blink', 'marquee', 'dots'];
+
 /**
- * Ensures an icon exists in the cache, generating it if needed
- * @param emoji Emoji character to render
- * @param name Base name for the file (for logging/debugging only)
- * @returns Filename (e.g., "icon-a3f8b2d4.rgb")
+ * Looping GIF (see icon-scripts/create-animated-gif.js). marquee scrolls the label through
+ * the key; blink flashes it; the others animate above it.
  */
-export async function ensureIcon(emoji: string, name: string): Promise<string> {
-  const hash = hashEmoji(emoji);
-  const filename = `icon-${hash}.rgb`;
-  const cachePath = path.join(__dirname, '../../images/cache', filename);
+export interface AnimationSpec {
+  type: 'animation';
+  animation: AnimationName;
+  label?: string;      // Required by marquee and blink
+  color?: string;
+  labelColor?: string;
+  background?: string;
+  frames?: number;
+  delay?: number;      // ms per frame
+  maxBytes?: number;   // Frames are dropped until the GIF fits (default 64KB)
+}
 
-  if (fs.existsSync(cachePath)) {
-    console.log(`[Icon] Cache hit: ${filename} (${name}: ${emoji})`);
-    return filename;
-  }
+export type ImageFit = 'cover' | 'contain' | 'fill';
+export const IMAGE_FITS: ImageFit[] = ['cover', 'contain', 'fill'];
 
-  // Generate using existing script
-  console.log(`[Icon] Generating ${filename} for "${name}" with emoji ${emoji}`);
+/**
+ * Custom key art: a PNG, JPEG or SVG scaled onto the display
+ */
+export interface ImageSpec {
+  type: 'image';
+  data: Buffer;          // Image file contents (only a hash of it goes into the cache manifest)
+  fit: ImageFit;         // cover crops, contain letterboxes on the background, fill stretches
+  background: string;
+  dither: boolean;       // Floyd-Steinberg dithering to RGB565
+}
 
-  try {
-    execSync(
-      `node generate-images.js --emoji "${emoji}" icon-${hash}`,
-      {
-        cwd: path.join(__dirname, '../../icon-scripts'),
-        stdio: 'pipe'
-      }
-    );
-
-    console.log(`[Icon] Created: ${filename}`);
-    return filename;
-  } catch (error) {
-    console.error(`[Icon] Generation failed for ${filename}:`, error);
-    throw new Error(`Failed to generate icon: ${filename}`);
+interface RenderedIcon {
+  buffer: Buffer;      // 128x128 RGB565, big-endian (GIF for animations)
+  warning?: string;
+}
+
+// icon-scripts/icon-renderer.js renders on a pool of worker threads in this process
+interface IconRenderer {
+  renderIcon(spec: IconSpec): Promise<RenderedIcon>;
+}
+const renderer: IconRenderer = createRequire(import.meta.url)(path.join(__dirname, '../../icon-scripts/icon-renderer.js'));
+
+// icon-scripts/icon-cache.js keeps images/cache/manifest.json (shared with create-animated-gif.js)
+interface IconCache {
+  resolveIcon(prefix: string, spec: object, ext: string): { filename: string; hash: string; cached: boolean };
+  recordIcon(filename: string, hash: string, spec: object, format: string, size: number): string[];
+  touchIcons(names: string[]): void;
+}
+const iconCache: IconCache = createRequire(import.meta.url)(path.join(__dirname, '../../icon-scripts/icon-cache.js'));
+
+// Icons being rendered, by spec hash, so concurrent requests for one icon share the work
+const rendering = new Map<string, Promise<string>>();
+
+/**
+ * Ensures a counter icon (label above a large number) exists, e.g. "Passed 12"
+ * @returns Filename (e.g., "count-a3f8b2d4c0e1.rgb")
+ */
+export async function ensureCounterIcon(value: number, label: string, color: string): Promise<string> {
+  return ensureCached('count', { type: 'counter', value, label, color });
+}
+
+/**
+ * Ensures a progress bar icon ("done/total", bar, percentage) exists
+ * @param total 0 if not known yet
+ */
+export async function ensureProgressIcon(done: number, total: number, color: string): Promise<string> {
+  return ensureCached('progress', { type: 'progress', done, total, color });
+}
+
+/**
+ * Ensures a tile icon exists in the cache
+ * @returns Filename (e.g., "tile-a3f8b2d4c0e1f2.rgb")
+ */
+export async function ensureTileIcon(spec: TileSpec): Promise<string> {
+  return ensureCached('tile', spec);
+}
+
+/**
+ * Ensures an animated GIF exists in the cache
+ * @returns Filename (e.g., "anim-a3f8b2d4c0e1f2.gif")
+ */
+export async function ensureAnimation(spec: AnimationSpec): Promise<string> {
+  return ensureCached('anim', spec);
+}
+
+/**
+ * Ensures a custom image exists in the cache
+ * @returns Filename to use as a button image (e.g., "img-a3f8b2d4c0e1f2a.rgb")
+ * @throws Error if the data is not a PNG, JPEG or SVG, or cannot be decoded
+ */
+export async function ensureImageIcon(spec: ImageSpec): Promise<string> {
+  if (!imageFormat(spec.data)) {
+    throw new Error('Unsupported image: expected PNG, JPEG or SVG data');
   }
+  return ensureCached('img', spec);
+}
+
+/**
+ * Image format from a file's first bytes
+ */
+function imageFormat(data: Buffer): 'png' | 'jpeg' | 'svg' | null {
+  if (data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'png';
+  if (data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) return 'jpeg';
+  if (/<svg[\s>]/i.test(data.subarray(0, 4096).toString('utf-8'))) return 'svg';
+  return null;
 }
 
 /**
- * Ensures multiple icons exist, generating them in parallel
+ * Mark icons as just used, so the cache evicts others first (unknown names are ignored)
  */
-export async function ensureIcons(
-  specs: Array<{ emoji: string; name: string }>
-): Promise<string[]> {
-  return Promise.all(
-    specs.map(spec => ensureIcon(spec.emoji, spec.name))
-  );
+export function touchIcons(names: string[]): void {
+  try {
+    iconCache.touchIcons(names.filter(Boolean));
+  } catch (error: any) {
+    console.error('[Icon] Updating cache manifest failed:', error.message);
+  }
+}
+
+// Render a spec into the cache unless the manifest has it on disk already. Specs are
+// keyed by the full SHA-256 of all their fields, so any parameter change is a new icon.
+function ensureCached(prefix: string, spec: IconSpec): Promise<string> {
+  const [ext, format] = spec.type === 'animation' ? ['gif', 'gif'] : ['rgb', 'rgb565'];
+  const key = manifestSpec(spec);
+  const { filename, hash, cached } = iconCache.resolveIcon(prefix, key, ext);
+  if (cached) {
+    // Used again: an icon rendered next for the same layout must not evict it
+    touchIcons([filename]);
+    return Promise.resolve(filename);
+  }
+
+  let pending = rendering.get(hash);
+  if (!pending) {
+    const cachePath = path.join(CACHE_DIR, filename);
+    pending = renderer.renderIcon(spec)
+      .then(async ({ buffer, warning }) => {
+        if (warning) console.warn(`[Icon] ${filename}: ${warning}`);
+        await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+        // Write under a temporary name so a reader never sees a partial icon
+        const tempPath = cachePath.replace(/\.(\w+)$/, '.tmp.$1');
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, cachePath);
+        iconCache.recordIcon(filename, hash, key, format, buffer.length);
+        console.log(`[Icon] Created: ${filename}`);
+        return filename;
+      })
+      .catch((error: any) => {
+        console.error(`[Icon] Generation failed for ${filename}:`, error.message);
+        throw new Error(`Failed to generate icon: ${filename}: ${error.message}`);
+      })
+      .finally(() => rendering.delete(hash));
+    rendering.set(hash, pending);
+  }
+  return pending;
+}
+
+// The spec as keyed and recorded in the manifest: images by a hash of their data
+function manifestSpec(spec: IconSpec): object {
+  if (spec.type !== 'image') return spec;
+  const { data, ...options } = spec;
+  return { ...options, sha256: crypto.createHash('sha256').update(data).digest('hex'), bytes: data.length };
 }
@@ -0,0 +1,164 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+// Raw bytes per `image` chunk (base64 grows this by 4/3, keep under the firmware's WS frame limit)
+const CHUNK_SIZE = 4096;
+const QUERY_TIMEOUT_MS = 3000;
+const ACK_TIMEOUT_MS = 5000;
+
+/**
+ * Per-connection record of which icon files the device holds.
+ * Keys are filenames, values are CRC32s of the file contents on the device.
+ */
+export interface DeviceManifest {
+  files: Map<string, number>;
+  supported: boolean;  // Cleared when the firmware never answers, so we stop waiting on it
+  waiters: Map<string, (reply: any) => void>;
+}
+
+export function createDeviceManifest(): DeviceManifest {
+  return {
+    files: new Map(),
+    supported: true,
+    waiters: new Map()
+  };
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC32 (IEEE), matching esp_rom_crc32_le() on the device
+ */
+export function crc32(data: Buffer): number {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Route an `image_manifest` or `image_ack` reply from the device to whoever is waiting on it
+ * @returns true if the message was an image reply
+ */
+export function handleImageReply(manifest: DeviceManifest, data: any): boolean {
+  let key: string;
+  if (data.type === 'image_manifest') {
+    key = 'manifest';
+  } else if (data.type === 'image_ack') {
+    key = `ack:${data.name}`;
+  } else {
+    return false;
+  }
+
+  const waiter = manifest.waiters.get(key);
+  if (waiter) {
+    manifest.waiters.delete(key);
+    waiter(data);
+  }
+  return true;
+}
+
+function waitForReply(manifest: DeviceManifest, key: string, timeoutMs: number): Promise<any> {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      manifest.waiters.delete(key);
+      reject(new Error(`Timed out waiting for ${key}`));
+    }, timeoutMs);
+
+    manifest.waiters.set(key, (reply) => {
+      clearTimeout(timer);
+      resolve(reply);
+    });
+  });
+}
+
+/**
+ * Ensure the device holds every named icon, pushing missing or stale files in chunks.
+ * Resolves once the device has confirmed each file. Names with no local file are skipped
+ * (built-in images the device may already have).
+ * @param cacheDir Directory holding the icon files
+ * @param names Icon filenames (e.g. "icon-a3f8b2d4c0e1f2.rgb")
+ * @param send Sends a message over the device WebSocket
+ */
+export async function syncImages(
+  manifest: DeviceManifest,
+  cacheDir: string,
+  names: string[],
+  send: (data: any) => void
+): Promise<void> {
+  if (!manifest.supported) return;
+
+  // Read local files and their checksums
+  const local = new Map<string, { data: Buffer; crc: number }>();
+  for (const name of new Set(names.filter(Boolean))) {
+    const filePath = path.join(cacheDir, path.basename(name));
+    try {
+      const data = await fs.promises.readFile(filePath);
+      local.set(name, { data, crc: crc32(data) });
+    } catch {
+      // Not generated locally - nothing to push
+    }
+  }
+
+  // Ask the device about files we haven't seen on this connection yet
+  const unknown = [...local.keys()].filter(name => !manifest.files.has(name));
+  if (unknown.length > 0) {
+    const reply = waitForReply(manifest, 'manifest', QUERY_TIMEOUT_MS);
+    send({ type: 'image_query', names: unknown });
+    try {
+      const { files = [] } = await reply;
+      for (const file of files) {
+        manifest.files.set(file.name, file.crc32 >>> 0);
+      }
+    } catch {
+      console.log('[Images] Device did not answer image_query, falling back to HTTP downloads');
+      manifest.supported = false;
+      return;
+    }
+  }
+
+  // Push anything missing or different
+  for (const [name, { data, crc }] of local) {
+    if (manifest.files.get(name) === crc) continue;
+
+    console.log(`[Images] Pushing ${name} (${data.length} bytes)`);
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+      const chunk = data.subarray(offset, offset + CHUNK_SIZE);
+      const final = offset + chunk.length >= data.length;
+
+      const ack = waitForReply(manifest, `ack:${name}`, ACK_TIMEOUT_MS);
+      send({
+        type: 'image',
+        name,
+        offset,
+        total: data.length,
+        final,
+        data: chunk.toString('base64')
+      });
+
+      const reply = await ack;
+      if (!reply.ok) {
+        manifest.files.delete(name);
+        throw new Error(`Device rejected ${name}: ${reply.error || 'write failed'}`);
+      }
+      if (final && (reply.crc32 >>> 0) !== crc) {
+        manifest.files.delete(name);
+        throw new Error(`Checksum mismatch for ${name} after push`);
+      }
+    }
+
+    manifest.files.set(name, crc);
+    console.log(`[Images] Device confirmed ${name}`);
+  }
+}
@@ -0,0 +1,246 @@
+import { ChildProcess, execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import type { InjectableAction, KeyName } from './actions.js';
+
+/**
+ * Text injectors for the input consumer.
+ *
+ * An injector types a button's action into the Claude terminal:
+ * - tmux:      `tmux send-keys` to a pane (works headless)
+ * - xdotool:   X11 keyboard events to the focused window (or a window ID)
+ * - ydotool:   uinput keyboard events (Wayland, needs ydotoold running)
+ * - pty:       runs the command under `script` and writes to its pty master
+ * - osascript: macOS System Events (same as tkeyboard-input-daemon.sh)
+ *
+ * Each supports the key names in actions.ts (KEY_NAMES plus ctrl+<letter>).
+ */
+
+const execFileAsync = promisify(execFile);
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+export interface Injector {
+  name: string;
+  typeText(text: string): Promise<void>;
+  sendKey(key: KeyName): Promise<void>;
+  close?(): void;
+  child?: ChildProcess;  // pty: the wrapped command, the consumer exits with it
+}
+
+export type InjectorName = 'tmux' | 'xdotool' | 'ydotool' | 'pty' | 'osascript';
+export const INJECTOR_NAMES: InjectorName[] = ['tmux', 'xdotool', 'ydotool', 'pty', 'osascript'];
+
+export interface InjectorConfig {
+  name: InjectorName;
+  target?: string;      // tmux pane (e.g. "claude:0.1") or xdotool window ID
+  command?: string[];   // pty: command to run (e.g. ["claude"])
+}
+
+/**
+ * Default injector for this environment: tmux inside tmux, osascript on macOS, else xdotool
+ */
+export function defaultInjectorName(): InjectorName {
+  if (process.env.TMUX) return 'tmux';
+  if (process.platform === 'darwin') return 'osascript';
+  return 'xdotool';
+}
+
+export function createInjector(config: InjectorConfig): Injector {
+  switch (config.name) {
+    case 'tmux':
+      return createTmuxInjector(config.target);
+    case 'xdotool':
+      return createXdotoolInjector(config.target);
+    case 'ydotool':
+      return createYdotoolInjector();
+    case 'pty':
+      if (!config.command || config.command.length === 0) {
+        throw new Error('Injector "pty" requires a command to run');
+      }
+      return createPtyInjector(config.command);
+    case 'osascript':
+      return createOsascriptInjector();
+    default:
+      throw new Error(`Unknown injector: ${config.name}. Expected one of: ${INJECTOR_NAMES.join(', ')}`);
+  }
+}
+
+/**
+ * Perform a button action: type text (+ Enter), press keys, or run a macro's steps
+ */
+export async function injectAction(injector: Injector, action: InjectableAction): Promise<void> {
+  switch (action.type) {
+    case 'type_text':
+      if (action.text) await injector.typeText(action.text);
+      if (action.enter !== false) await injector.sendKey('enter');
+      break;
+    case 'key_sequence':
+      for (const key of action.keys) await injector.sendKey(key);
+      break;
+    case 'macro':
+      for (const step of action.steps) {
+        if (step.type === 'delay') {
+          await sleep(step.ms);
+        } else {
+          await injectAction(injector, step);
+        }
+      }
+      break;
+  }
+}
+
+// Translate a key name with a backend's table, or its ctrl+<letter> form
+function lookupKey<T>(keys: Record<string, T>, ctrl: (letter: string) => T, key: KeyName): T {
+  const match = /^ctrl\+([a-z])$/.exec(key);
+  if (match) return ctrl(match[1]);
+  if (!(key in keys)) throw new Error(`Unsupported key: ${key}`);
+  return keys[key];
+}
+
+async function run(command: string, args: string[]) {
+  try {
+    await execFileAsync(command, args);
+  } catch (err: any) {
+    const detail = err.code === 'ENOENT' ? 'not installed' : (err.stderr || err.message).toString().trim();
+    throw new Error(`${command} failed: ${detail}`);
+  }
+}
+
+function createTmuxInjector(target?: string): Injector {
+  const targetArgs = target ? ['-t', target] : [];
+  const keys: Record<string, string> = {
+    enter: 'Enter', escape: 'Escape', tab: 'Tab', 'shift+tab': 'BTab', backspace: 'BSpace',
+    delete: 'DC', space: 'Space', up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+    home: 'Home', end: 'End', page_up: 'PPage', page_down: 'NPage'
+  };
+
+  return {
+    name: 'tmux',
+    typeText: text => run('tmux', ['send-keys', ...targetArgs, '-l', text]),
+    sendKey: key => run('tmux', ['send-keys', ...targetArgs, lookupKey(keys, letter => `C-${letter}`, key)])
+  };
+}
+
+function createXdotoolInjector(windowId?: string): Injector {
+  const keys: Record<string, string> = {
+    enter: 'Return', escape: 'Escape', tab: 'Tab', 'shift+tab': 'shift+Tab', backspace: 'BackSpace',
+    delete: 'Delete', space: 'space', up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+    home: 'Home', end: 'End', page_up: 'Prior', page_down: 'Next'
+  };
+
+  // Focus the target window first - events sent with --window are ignored by most terminals
+  const focus = () => windowId ? run('xdotool', ['windowactivate', '--sync', windowId]) : Promise.resolve();
+
+  return {
+    name: 'xdotool',
+    async typeText(text) {
+      await focus();
+      await run('xdotool', ['type', '--clearmodifiers', '--delay', '0', '--', text]);
+    },
+    async sendKey(key) {
+      await focus();
+      await run('xdotool', ['key', '--clearmodifiers', lookupKey(keys, letter => `ctrl+${letter}`, key)]);
+    }
+  };
+}
+
+function createYdotoolInjector(): Injector {
+  // Linux input event codes (ydotool 1.x takes code:pressed pairs)
+  const KEY_LEFTCTRL = 29;
+  const KEY_LEFTSHIFT = 42;
+  const KEY_TAB = 15;
+  const codes: Record<string, number> = {
+    enter: 28, escape: 1, tab: KEY_TAB, backspace: 14, delete: 111, space: 57,
+    up: 103, down: 108, left: 105, right: 106, home: 102, end: 107, page_up: 104, page_down: 109
+  };
+  // KEY_A..KEY_Z follow the QWERTY layout, not the alphabet
+  const LETTER_CODES: Record<string, number> = {
+    q: 16, w: 17, e: 18, r: 19, t: 20, y: 21, u: 22, i: 23, o: 24, p: 25,
+    a: 30, s: 31, d: 32, f: 33, g: 34, h: 35, j: 36, k: 37, l: 38,
+    z: 44, x: 45, c: 46, v: 47, b: 48, n: 49, m: 50
+  };
+  const tap = (code: number) => [`${code}:1`, `${code}:0`];
+  const chord = (modifier: number, code: number) => [`${modifier}:1`, ...tap(code), `${modifier}:0`];
+
+  const keys: Record<string, string[]> = Object.fromEntries(
+    Object.entries(codes).map(([name, code]) => [name, tap(code)])
+  );
+  keys['shift+tab'] = chord(KEY_LEFTSHIFT, KEY_TAB);
+
+  return {
+    name: 'ydotool',
+    typeText: text => run('ydotool', ['type', '--', text]),
+    sendKey: key => run('ydotool', ['key', ...lookupKey(keys, letter => chord(KEY_LEFTCTRL, LETTER_CODES[letter]), key)])
+  };
+}
+
+/**
+ * Run the command in a pseudo-terminal owned by `script` and write injected input to it.
+ * Our own terminal input is forwarded too, so the command stays usable interactively.
+ */
+function createPtyInjector(command: string[]): Injector {
+  const keys: Record<string, string> = {
+    enter: '\r', escape: '\x1b', tab: '\t', 'shift+tab': '\x1b[Z', backspace: '\x7f', delete: '\x1b[3~',
+    space: ' ', up: '\x1b[A', down: '\x1b[B', right: '\x1b[C', left: '\x1b[D',
+    home: '\x1b[H', end: '\x1b[F', page_up: '\x1b[5~', page_down: '\x1b[6~'
+  };
+  // Ctrl+A..Ctrl+Z are control characters 1..26
+  const ctrl = (letter: string) => String.fromCharCode(letter.charCodeAt(0) - 96);
+  const quoted = command.map(arg => `'${arg.replace(/'/g, `'\\''`)}'`).join(' ');
+
+  // script gets no terminal size from a piped stdin, so set it inside the pty
+  const { columns = 80, rows = 24 } = process.stdout;
+  const shellCommand = `stty cols ${columns} rows ${rows} 2>/dev/null; exec ${quoted}`;
+
+  const args = process.platform === 'darwin'
+    ? ['-q', '/dev/null', 'sh', '-c', shellCommand]
+    : ['-qfec', shellCommand, '/dev/null'];
+
+  const child: ChildProcess = spawn('script', args, { stdio: ['pipe', 'inherit', 'inherit'] });
+
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(true);
+  }
+  process.stdin.pipe(child.stdin!, { end: false });
+
+  const write = (data: string) => new Promise<void>((resolve, reject) => {
+    if (!child.stdin || child.exitCode !== null) {
+      reject(new Error('pty command has exited'));
+      return;
+    }
+    child.stdin.write(data, err => err ? reject(err) : resolve());
+  });
+
+  return {
+    name: 'pty',
+    typeText: text => write(text),
+    sendKey: key => write(lookupKey(keys, ctrl, key)),
+    close() {
+      process.stdin.unpipe(child.stdin!);
+      if (process.stdin.isTTY) process.stdin.setRawMode(false);
+      child.kill();
+    },
+    child
+  };
+}
+
+function createOsascriptInjector(): Injector {
+  // macOS virtual key codes
+  const codes: Record<string, number> = {
+    enter: 36, escape: 53, tab: 48, backspace: 51, delete: 117, space: 49,
+    left: 123, right: 124, down: 125, up: 126, home: 115, end: 119, page_up: 116, page_down: 121
+  };
+  const keys: Record<string, string> = Object.fromEntries(
+    Object.entries(codes).map(([name, code]) => [name, `key code ${code}`])
+  );
+  keys['shift+tab'] = 'key code 48 using shift down';
+
+  const systemEvents = (statement: string) =>
+    run('osascript', ['-e', `tell application "System Events" to ${statement}`]);
+
+  return {
+    name: 'osascript',
+    typeText: text => systemEvents(`keystroke ${JSON.stringify(text)}`),
+    sendKey: key => systemEvents(lookupKey(keys, letter => `keystroke "${letter}" using control down`, key))
+  };
+}
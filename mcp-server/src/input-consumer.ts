@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+/**
+ * T-Keyboard Input Consumer
+ *
+ * Cross-platform replacement for installation/tkeyboard-input-daemon.sh: subscribes to
+ * a session's key presses on the server's SSE stream (GET /inputs/stream), performs each
+ * action (text, key sequence or macro - see actions.ts) in the Claude terminal with a
+ * pluggable injector (see injectors.ts) and acknowledges it. Reconnects replay anything not yet acknowledged.
+ *
+ * Usage:
+ *   node build/input-consumer.js --injector tmux --target claude:0.0 --claude-pid 1234
+ *   node build/input-consumer.js --injector pty -- claude
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { parseArgs } from 'util';
+import { InjectableAction, isInjectable, normalizeAction } from './actions.js';
+import { createInjector, defaultInjectorName, injectAction, Injector, InjectorName, INJECTOR_NAMES } from './injectors.js';
+import { isProcessAlive } from './sessions.js';
+
+const RECONNECT_DELAY_MS = 1000;
+const TEXT_COOLDOWN_MS = 200;      // Between injected presses
+const KEYS_COOLDOWN_MS = 1000;     // After key sequences (Esc, Ctrl+B...), give Claude time to react
+const PID_CHECK_INTERVAL_MS = 2000;
+
+const USAGE = `Usage: input-consumer [options] [-- command...]
+
+Options:
+  --injector NAME    ${INJECTOR_NAMES.join(' | ')} (default: ${defaultInjectorName()})
+  --target TARGET    tmux pane (e.g. claude:0.1) or xdotool window ID
+  --session ID       Session to consume (default: CLAUDE_SESSION_ID, else the session
+                     Claude's MCP proxy registered for --claude-pid)
+  --claude-pid PID   Claude process; exit when it exits (pty: the wrapped command)
+  --label LABEL      Session label shown on the keyboard (default: current folder name)
+  --server URL       Server HTTP API (default: http://localhost:8081)
+  --log FILE         Log to a file (pty mode logs nowhere else, to keep the terminal clean)
+  --help
+
+With --injector pty, the command after -- (e.g. claude) runs inside a pseudo-terminal
+and key presses are written to it. Your own typing is forwarded as usual.`;
+
+interface ConsumerOptions {
+  server: string;
+  sessionId?: string;
+  claudePid?: number;
+  label: string;
+}
+
+let logStream: fs.WriteStream | null = null;
+let quiet = false;
+
+function log(message: string) {
+  const line = `[Input Consumer] ${message}`;
+  if (logStream) {
+    logStream.write(`${new Date().toISOString()} ${line}\n`);
+  } else if (!quiet) {
+    console.error(line);
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Parse a Server-Sent Events body, calling onEvent per complete event
+ */
+async function readEvents(
+  body: ReadableStream<Uint8Array>,
+  onEvent: (event: { id?: string; event?: string; data: string }) => Promise<void>
+) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body as unknown as AsyncIterable<Uint8Array>) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary: number;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event: { id?: string; event?: string; data: string } = { data: '' };
+      for (const line of block.split('\n')) {
+        if (line.startsWith(':')) continue;  // Heartbeat comment
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'id') event.id = value;
+        else if (field === 'event') event.event = value;
+        else if (field === 'data') event.data += (event.data ? '\n' : '') + value;
+      }
+      if (event.data) await onEvent(event);
+    }
+  }
+}
+
+async function acknowledge(options: ConsumerOptions, sessionId: string, seq: number) {
+  try {
+    await fetch(`${options.server}/inputs/ack`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ session_id: sessionId, seq })
+    });
+  } catch (err: any) {
+    // Not fatal - the press is replayed on reconnect and skipped by sequence number
+    log(`Ack for #${seq} failed: ${err.message}`);
+  }
+}
+
+/**
+ * Stream key presses and inject them, forever (reconnecting on errors)
+ */
+async function consume(options: ConsumerOptions, injector: Injector) {
+  let lastSeq = 0;
+
+  while (true) {
+    const query = new URLSearchParams({ since: String(lastSeq), label: options.label });
+    if (options.sessionId) query.set('session_id', options.sessionId);
+    if (options.claudePid) query.set('claude_pid', String(options.claudePid));
+
+    try {
+      const response = await fetch(`${options.server}/inputs/stream?${query}`, {
+        headers: { Accept: 'text/event-stream' }
+      });
+      if (!response.ok || !response.body) {
+        throw new Error(`HTTP ${response.status}: ${(await response.text()).substring(0, 200)}`);
+      }
+      log(`Streaming ${options.sessionId || (options.claudePid ? `session of PID ${options.claudePid}` : 'active session')} via ${injector.name}`);
+
+      await readEvents(response.body, async (event) => {
+        if (event.event !== 'key_press') return;
+
+        const input = JSON.parse(event.data);
+        if (input.seq <= lastSeq) return;  // Replayed, already handled
+
+        let action: InjectableAction | undefined;
+        try {
+          const parsed = normalizeAction(input.action);
+          if (isInjectable(parsed)) action = parsed;
+        } catch (err: any) {
+          log(`Invalid action for #${input.seq}: ${err.message}`);
+        }
+
+        log(`Key ${input.key} (#${input.seq}): ${JSON.stringify(action || input.text)}`);
+        if (action) {
+          try {
+            await injectAction(injector, action);
+          } catch (err: any) {
+            log(`Injection failed: ${err.message}`);
+          }
+        }
+
+        lastSeq = input.seq;
+        await acknowledge(options, input.sessionId, input.seq);
+        await sleep(action?.type === 'key_sequence' ? KEYS_COOLDOWN_MS : TEXT_COOLDOWN_MS);
+      });
+
+      log('Stream closed, reconnecting...');
+    } catch (err: any) {
+      log(`Stream error: ${err.message}, reconnecting...`);
+    }
+
+    await sleep(RECONNECT_DELAY_MS);
+  }
+}
+
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      injector: { type: 'string' },
+      target: { type: 'string' },
+      session: { type: 'string' },
+      'claude-pid': { type: 'string' },
+      label: { type: 'string' },
+      server: { type: 'string', default: 'http://localhost:8081' },
+      log: { type: 'string' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const injectorName = (values.injector || defaultInjectorName()) as InjectorName;
+  if (!INJECTOR_NAMES.includes(injectorName)) {
+    console.error(`Unknown injector: ${injectorName}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.log) {
+    logStream = fs.createWriteStream(values.log, { flags: 'a' });
+  }
+  // The pty command owns the terminal - don't draw over it
+  quiet = injectorName === 'pty';
+
+  let injector: Injector;
+  try {
+    injector = createInjector({ name: injectorName, target: values.target, command: positionals });
+  } catch (err: any) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  let claudePid = parseInt(values['claude-pid'] || process.env.CLAUDE_PID || '') || undefined;
+  if (injector.child) {
+    claudePid = injector.child.pid;
+    injector.child.on('exit', (code) => {
+      log(`Command exited (${code})`);
+      injector.close?.();
+      process.exit(code ?? 0);
+    });
+  }
+
+  const options: ConsumerOptions = {
+    server: values.server!.replace(/\/$/, ''),
+    // Without an ID the server finds the session by Claude's PID (retried until Claude registers it)
+    sessionId: values.session || process.env.CLAUDE_SESSION_ID || undefined,
+    claudePid,
+    label: values.label || process.env.TKEYBOARD_SESSION_LABEL || path.basename(process.cwd())
+  };
+
+  // Exit with Claude, like the bash daemon
+  if (claudePid && !injector.child) {
+    if (!isProcessAlive(claudePid)) {
+      console.error(`Claude process ${claudePid} not found`);
+      process.exit(1);
+    }
+    setInterval(() => {
+      if (!isProcessAlive(claudePid!)) {
+        log(`Claude process ${claudePid} exited`);
+        process.exit(0);
+      }
+    }, PID_CHECK_INTERVAL_MS);
+  }
+
+  log(`Starting for session ${options.sessionId || (claudePid ? '(by PID)' : '(active)')}${claudePid ? ` (PID=${claudePid})` : ''}`);
+  consume(options, injector);
+}
+
+main();
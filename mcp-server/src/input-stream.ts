@@ -0,0 +1,87 @@
+import * as http from 'http';
+import type { QueuedInput, Session } from './sessions.js';
+
+/**
+ * Server-Sent Events stream of key presses for input consumers.
+ *
+ * Every queued key press has a sequence number. Consumers subscribe per session
+ * (GET /inputs/stream) and every subscriber receives each press as a `key_press`
+ * event whose SSE id is the sequence number. Handled presses are acknowledged
+ * (POST /inputs/ack); unacknowledged ones are replayed to anyone subscribing with
+ * ?since=N or a Last-Event-ID header older than them.
+ *
+ * Subscribers are kept per Session object, not ID: a session keeps its streams when it
+ * is registered under a new ID (see registerSession), and events carry its current ID.
+ */
+
+const HEARTBEAT_MS = 15000;
+const RETRY_MS = 1000;  // Reconnect delay suggested to EventSource clients
+
+const subscribers = new Map<Session, Set<http.ServerResponse>>();
+
+/**
+ * Start streaming a session's key presses on an HTTP response, replaying its
+ * unacknowledged inputs newer than since
+ */
+export function subscribeInputs(
+  req: http.IncomingMessage,
+  res: http.ServerResponse,
+  session: Session,
+  since: number
+) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  for (const input of session.inputQueue) {
+    if (input.seq > since) writeEvent(res, session, input);
+  }
+
+  let streams = subscribers.get(session);
+  if (!streams) {
+    streams = new Set();
+    subscribers.set(session, streams);
+  }
+  streams.add(res);
+  console.log(`[Stream] Consumer subscribed to ${session.id} (${streams.size} total, replay after ${since})`);
+
+  // Comments keep proxies and idle timeouts from closing the stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streams!.delete(res);
+    if (streams!.size === 0) subscribers.delete(session);
+    console.log(`[Stream] Consumer left ${session.id}`);
+  });
+}
+
+/**
+ * Push a key press to every subscriber of a session
+ */
+export function publishInput(session: Session, input: QueuedInput) {
+  for (const res of subscribers.get(session) || []) {
+    writeEvent(res, session, input);
+  }
+}
+
+export function subscriberCount(session: Session): number {
+  return subscribers.get(session)?.size || 0;
+}
+
+/**
+ * End all streams (on shutdown)
+ */
+export function closeInputStreams() {
+  for (const streams of subscribers.values()) {
+    for (const res of streams) res.end();
+  }
+  subscribers.clear();
+}
+
+function writeEvent(res: http.ServerResponse, session: Session, input: QueuedInput) {
+  res.write(`id: ${input.seq}\nevent: key_press\ndata: ${JSON.stringify({ sessionId: session.id, ...input })}\n\n`);
+}
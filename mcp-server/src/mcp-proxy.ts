@@ -7,6 +7,9 @@
  * - Claude Code to launch one proxy instance per conversation (stdio)
  * - All proxies connect to the same persistent backend
  * - Persistent backend maintains ESP32 connection and input daemon service
+ *
+ * Each proxy registers its conversation as a session with the backend, so
+ * several Claude sessions can share the keyboard (see sessions.ts).
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -18,8 +21,20 @@ import {
   ReadResourceRequestSchema,
 } from '@modelcontextprotocol/sdk/types.js';
 import * as http from 'http';
+import * as path from 'path';
+import { TOOLS, RESOURCES, errorResult } from './tools.js';
 
 const BACKEND_URL = 'http://localhost:8081';
+// Longest a backend request may take. Prompts (present_choices, ask_user_via_keyboard)
+// hold a tool call until a key is pressed, for at most the backend's MAX_PROMPT_SECONDS.
+const REQUEST_TIMEOUT_MS = 300000;
+
+// This conversation's session. Claude Code is our parent process.
+const session = {
+  session_id: process.env.CLAUDE_SESSION_ID || `tk-${Date.now()}-${process.ppid}`,
+  claude_pid: parseInt(process.env.CLAUDE_PID || String(process.ppid)),
+  label: process.env.TKEYBOARD_SESSION_LABEL || path.basename(process.cwd())
+};
 
 // Helper to make HTTP requests to backend
 function httpRequest(path: string, method: string = 'GET', body?: any): Promise<any> {
@@ -47,6 +62,9 @@ function httpRequest(path: string, method: string = 'GET', body?: any): Promise<
       });
     });
 
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+      req.destroy(new Error(`Backend did not answer ${method} ${path} within ${REQUEST_TIMEOUT_MS / 1000}s`));
+    });
     req.on('error', reject);
     if (body) req.write(JSON.stringify(body));
     req.end();
@@ -67,70 +85,9 @@ const server = new Server(
   }
 );
 
-// List available tools
+// List available tools (same registry as the backend)
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'update_keyboard_context',
-        description: 'Update T-Keyboard buttons based on current work context. Uses AI to determine optimal buttons.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            context: {
-              type: 'string',
-              enum: ['git_operations', 'debugging', 'testing', 'question_yesno', 'question_choice', 'file_operations', 'default'],
-              description: 'Type of work context'
-            },
-            detail: {
-              type: 'string',
-              description: 'Additional context details'
-            }
-          },
-          required: ['context']
-        }
-      },
-      {
-        name: 'set_keyboard_buttons',
-        description: 'Directly set specific button labels (bypasses AI advisor)',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            buttons: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Four button labels'
-            },
-            actions: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Four actions (text to inject when pressed)'
-            },
-            images: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Four image filenames (e.g., "yes.rgb")'
-            }
-          },
-          required: ['buttons']
-        }
-      },
-      {
-        name: 'get_keyboard_status',
-        description: 'Query T-Keyboard connection status and current button configuration',
-        inputSchema: {
-          type: 'object',
-          properties: {}
-        }
-      }
-    ]
-  };
+  return { tools: TOOLS };
 });
 
 // Handle tool calls by proxying to backend
@@ -138,62 +95,33 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
 
   try {
-    // Proxy to backend HTTP API
-    const response = await httpRequest('/mcp/tool', 'POST', { name, arguments: args });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify(response, null, 2)
-        }
-      ]
-    };
+    // Proxy to backend HTTP API - it returns MCP tool results directly
+    const response = await httpRequest('/mcp/tool', 'POST', { name, arguments: args, ...session });
+
+    if (!response || response.error || !Array.isArray(response.content)) {
+      return errorResult(response?.error || `Unexpected backend response: ${JSON.stringify(response)}`);
+    }
+    return response;
   } catch (error: any) {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Error: ${error.message}`
-        }
-      ],
-      isError: true
-    };
+    return errorResult(error.message);
   }
 });
 
 // List resources
 server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  return {
-    resources: [
-      {
-        uri: 'tkeyboard://status',
-        name: 'T-Keyboard Status',
-        description: 'Current keyboard connection and button state',
-        mimeType: 'application/json'
-      }
-    ]
-  };
+  return { resources: RESOURCES };
 });
 
 // Read resources
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
   const uri = request.params.uri.toString();
+  const query = new URLSearchParams({ uri, session_id: session.session_id, claude_pid: String(session.claude_pid) });
+  const response = await httpRequest(`/mcp/resource?${query}`);
 
-  if (uri === 'tkeyboard://status') {
-    const status = await httpRequest('/status');
-    return {
-      contents: [
-        {
-          uri: request.params.uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(status, null, 2)
-        }
-      ]
-    };
+  if (!response || response.error || !Array.isArray(response.contents)) {
+    throw new Error(response?.error || `Unknown resource: ${uri}`);
   }
-
-  throw new Error(`Unknown resource: ${uri}`);
+  return response;
 });
 
 // Start server with stdio transport
@@ -201,6 +129,21 @@ async function main() {
   const transport = new StdioServerTransport();
   await server.connect(transport);
   console.error('[MCP Proxy] Connected to Claude Code');
+
+  // Show up on the keyboard right away; tool calls also register if the backend restarts
+  try {
+    await httpRequest('/sessions/register', 'POST', session);
+    console.error(`[MCP Proxy] Registered session ${session.label} (${session.session_id})`);
+  } catch (error: any) {
+    console.error('[MCP Proxy] Backend not reachable, will register on first tool call:', error.message);
+  }
+
+  // Claude Code closes stdin when the conversation ends
+  process.stdin.on('end', () => {
+    httpRequest('/sessions/unregister', 'POST', { session_id: session.session_id })
+      .catch(() => {})
+      .finally(() => process.exit(0));
+  });
 }
 
 main().catch(console.error);
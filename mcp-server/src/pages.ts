@@ -0,0 +1,83 @@
+import { isNoop } from './actions.js';
+import type { ButtonLayout } from './sessions.js';
+
+/**
+ * Paged button layouts.
+ *
+ * A layout holds any number of options, up to MAX_OPTIONS. If they fit, they go straight
+ * onto the keys. If not, all but one free key show a page of options and the last becomes
+ * a "More ▶" key that moves to the next page, wrapping around to the first. Keys showing
+ * a panel (see panels.ts) are not free: a layout's own panel (e.g. the question of
+ * present_choices) takes key 1, and status panels take the keys they were put on.
+ */
+
+export const KEY_COUNT = 4;
+export const MAX_OPTIONS = 12;
+
+// Option action the firmware echoes for the More key
+export const PAGE_ACTION = 'NEXT_PAGE';
+
+// Option action for keys showing a panel. The firmware replaces an empty action with the
+// key's text, so a panel sent without one would echo its title as if it were typed.
+export const PANEL_ACTION = 'PANEL';
+
+// What a physical key shows: a layout option (0-based index), the More key, a panel, or nothing
+export type KeySlot = { option: number } | { more: true } | { panel: true } | null;
+
+// Keys (1-based) left for options
+function optionKeys(layout: ButtonLayout, panelKeys: number[]): number[] {
+  return Array.from({ length: KEY_COUNT }, (_, index) => index + 1)
+    .filter(key => !panelKeys.includes(key) && !(layout.panel && key === 1));
+}
+
+// Options up to the last non-blank one, so blank keys (e.g. STOP's) never need a page
+function optionCount(layout: ButtonLayout): number {
+  let count = layout.buttons.length;
+  while (count > 1 && !layout.buttons[count - 1] && isNoop(layout.actions[count - 1])) count--;
+  return count;
+}
+
+// Paging needs a key for options and one for More. With a single free key, only the
+// first option is reachable until a panel is cleared.
+function isPaged(layout: ButtonLayout, keys: number): boolean {
+  return optionCount(layout) > keys && keys >= 2;
+}
+
+export function pageCount(layout: ButtonLayout, panelKeys: number[] = []): number {
+  const keys = optionKeys(layout, panelKeys).length;
+  return isPaged(layout, keys) ? Math.ceil(optionCount(layout) / (keys - 1)) : 1;
+}
+
+/**
+ * The four key slots for a page of a layout
+ * @param panelKeys Keys showing a status panel
+ */
+export function pageSlots(layout: ButtonLayout, page: number, panelKeys: number[] = []): KeySlot[] {
+  const count = optionCount(layout);
+  const keys = optionKeys(layout, panelKeys);
+  const paged = isPaged(layout, keys.length);
+  const first = paged ? page * (keys.length - 1) : 0;
+
+  const slots: KeySlot[] = Array.from({ length: KEY_COUNT }, () => ({ panel: true }));
+  keys.forEach((key, index) => {
+    if (paged && index === keys.length - 1) {
+      slots[key - 1] = { more: true };
+    } else {
+      slots[key - 1] = first + index < count ? { option: first + index } : null;
+    }
+  });
+  return slots;
+}
+
+export function moreLabel(page: number, pages: number): string {
+  return `More ▶ ${page + 1}/${pages}`;
+}
+
+/**
+ * @throws Error if a layout has no options or more than MAX_OPTIONS
+ */
+export function checkOptionCount(count: number) {
+  if (count < 1 || count > MAX_OPTIONS) {
+    throw new Error(`Expected 1-${MAX_OPTIONS} buttons, got ${count}`);
+  }
+}
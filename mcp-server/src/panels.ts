@@ -0,0 +1,79 @@
+/**
+ * Text panels.
+ *
+ * A key's display can show a panel instead of its button: a title and a few lines of
+ * text, such as the current branch or test counts (firmware `display_update`). The firmware
+ * prints both at text size 2 and breaks lines mid-word at the screen edge, so text is
+ * word-wrapped and truncated here to fit the 128x128 screens.
+ */
+
+export interface Panel {
+  title: string;
+  content: string;  // Lines separated by \n
+}
+
+export const PANEL_COLUMNS = 10;  // 12px characters across 128px
+export const PANEL_LINES = 5;     // 16px lines below the title (drawn from y=50)
+
+const ELLIPSIS = '...';  // The firmware font has no "…"
+
+/**
+ * Fit a title onto one line and content onto PANEL_LINES lines
+ */
+export function formatPanel(title: string, content: string): Panel {
+  return {
+    title: truncate(title.replace(/\s+/g, ' ').trim(), PANEL_COLUMNS),
+    content: wrapText(content, PANEL_COLUMNS, PANEL_LINES).join('\n')
+  };
+}
+
+function truncate(text: string, columns: number): string {
+  return text.length > columns ? text.slice(0, columns - ELLIPSIS.length) + ELLIPSIS : text;
+}
+
+// Word-wrap text (keeping its line breaks) into at most maxLines lines, breaking words
+// longer than a line. Text that doesn't fit ends the last line with an ellipsis.
+function wrapText(text: string, columns: number, maxLines: number): string[] {
+  const lines: string[] = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = '';
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      // A long word starts on the current line if there is room
+      if (word.length > columns && line && line.length + 2 <= columns) {
+        const room = columns - line.length - 1;
+        lines.push(`${line} ${word.slice(0, room)}`);
+        line = '';
+        word = word.slice(room);
+      }
+      while (word.length > columns) {
+        if (line) {
+          lines.push(line);
+          line = '';
+        }
+        lines.push(word.slice(0, columns));
+        word = word.slice(columns);
+      }
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= columns) {
+        line += ' ' + word;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+    lines.push(line);
+  }
+
+  // Blank lines at the end only push text out
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  const last = kept[maxLines - 1];
+  kept[maxLines - 1] = last.length + ELLIPSIS.length <= columns
+    ? last + ELLIPSIS
+    : last.slice(0, columns - ELLIPSIS.length) + ELLIPSIS;
+  return kept;
+}
@@ -0,0 +1,86 @@
+import { HookPayload, describeToolInput } from './hook-events.js';
+
+/**
+ * Tool permission decisions.
+ *
+ * installation/tkeyboard-permission.sh runs as a PermissionRequest hook, i.e. only when
+ * Claude Code would ask, and posts the tool call to POST /permissions. The server shows
+ * Allow once / Allow always / Deny / Show details and holds the request until a key is
+ * pressed. The answer goes back as the hook's decision, so nothing is typed into the
+ * terminal. "ask" (no answer in time) gives no decision, leaving it to Claude Code's
+ * own permission handling. Registered as a PreToolUse hook instead, the same applies.
+ */
+
+export type PermissionDecision = 'allow' | 'deny' | 'ask';
+
+export interface PermissionRequest {
+  tool: string;
+  detail: string;   // Command, file or URL the tool call is for
+  rule: string;     // What "Allow always" allows, e.g. "Bash(git)"
+}
+
+// Shell syntax that can chain a second command onto an allowed one
+const COMPOUND_COMMAND = /[;&|`$<>()\n]/;
+
+// Programs whose "Allow always" covers a subcommand rather than one command line, and the
+// read-only subcommands that may be widened so. Anything that runs project scripts,
+// installs, commits or deletes (npm run, npm install, git commit, git clean...) is only
+// allowed as the exact command line, e.g. "Bash(npm run build)".
+const WIDENED_SUBCOMMANDS = new Map<string, string[]>([
+  ['git', ['status', 'diff', 'log', 'show', 'fetch']],
+  ['npm', ['test']],
+  ['pnpm', ['test']],
+  ['yarn', ['test']],
+  ['cargo', ['check', 'test']],
+  ['go', ['vet', 'test']]
+]);
+
+/**
+ * Describe a PermissionRequest (or PreToolUse) payload's tool call
+ * @throws Error if the payload has no tool_name
+ */
+export function describePermission(payload: HookPayload): PermissionRequest {
+  const tool = payload.tool_name;
+  if (typeof tool !== 'string' || !tool) {
+    throw new Error('tool_name is required');
+  }
+
+  const detail = describeToolInput(payload);
+  return { tool, detail, rule: permissionRule(tool, detail) };
+}
+
+// "Allow always" for a shell command allows that command line, or for a subcommand in
+// WIDENED_SUBCOMMANDS the program and subcommand ("Bash(git status)"). Compound commands
+// are only allowed exactly as they were. Other tools are allowed whatever the input.
+function permissionRule(tool: string, detail: string): string {
+  if (tool !== 'Bash') return tool;
+  const command = detail.trim();
+  const [program, subcommand] = command.split(/\s+/);
+  if (!COMPOUND_COMMAND.test(command) && WIDENED_SUBCOMMANDS.get(program)?.includes(subcommand)) {
+    return `Bash(${program} ${subcommand})`;
+  }
+  return `Bash(${command})`;
+}
+
+/**
+ * Hook output carrying a decision for the payload's event (printed by the hook script),
+ * or null for "ask": the hook then prints nothing and Claude Code decides as usual
+ */
+export function hookDecision(payload: HookPayload, decision: PermissionDecision, reason: string) {
+  if (decision === 'ask') return null;
+  if (payload.hook_event_name === 'PreToolUse') {
+    return {
+      hookSpecificOutput: {
+        hookEventName: 'PreToolUse',
+        permissionDecision: decision,
+        permissionDecisionReason: reason
+      }
+    };
+  }
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PermissionRequest',
+      decision: decision === 'allow' ? { behavior: 'allow' } : { behavior: 'deny', message: reason }
+    }
+  };
+}
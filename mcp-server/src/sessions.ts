@@ -0,0 +1,188 @@
+import { execFileSync } from 'child_process';
+import * as fs from 'fs';
+import type { Action, InjectableAction } from './actions.js';
+import type { Chord, Gesture } from './gestures.js';
+import type { Panel } from './panels.js';
+
+/**
+ * Claude session registry.
+ *
+ * Several Claude sessions can share one keyboard. Each session registers (from its MCP
+ * proxy or input daemon) with its own button layout, input queue and Claude PID. Exactly
+ * one session is active: its layout is shown and key presses are queued for it only.
+ */
+
+export interface ButtonLayout {
+  buttons: string[];  // Any number of options up to MAX_OPTIONS, paged onto the keys (see pages.ts)
+  actions: Action[];  // What each key does (see actions.ts)
+  images: string[];
+  longPress?: Array<Action | null>;  // Per-option gesture actions (see gestures.ts)
+  doubleTap?: Array<Action | null>;
+  chords?: Chord[];
+  panel?: Panel;      // Text shown on key 1 instead of an option (see pages.ts)
+}
+
+export interface KeyboardContext extends ButtonLayout {
+  type: string;
+  detail: string;
+  timestamp: number;
+}
+
+export interface QueuedInput {
+  seq: number;  // Increases across all sessions and restarts
+  key: number;                // Physical key (1-4)
+  option?: number;            // Layout option (1-based) the key showed, if known
+  gesture: Gesture;
+  text: string;              // Plain-string form for older consumers ('' if they can't perform it)
+  action: InjectableAction;
+  timestamp: number;
+}
+
+export interface CallbackEvent {
+  key: number;
+  option?: number;
+  gesture: Gesture;
+  name: string;
+  data?: any;
+  timestamp: number;
+}
+
+export interface Session {
+  id: string;
+  label: string;                  // Shown on the keyboard when switching (e.g. project folder)
+  claudePid: number;
+  context: KeyboardContext;
+  inputQueue: QueuedInput[];      // Unacknowledged key presses
+  callbacks: CallbackEvent[];     // Recent mcp_callback presses, newest last
+  override: ButtonLayout | null;  // Temporary layout on top of context (e.g. STOP while a tool runs)
+  page: number;                   // Page of the visible layout shown on the keys
+  panels: Array<Panel | null>;    // Status panel per key, shown instead of its button (see panels.ts)
+  state: 'idle' | 'thinking';     // Last lifecycle state reported by this session's hooks
+  registeredAt: number;
+  lastSeen: number;
+}
+
+export interface SessionRegistry {
+  sessions: Map<string, Session>;  // In registration order (the keyboard cycles in this order)
+  activeId: string;
+}
+
+export const DEFAULT_CONTEXT: KeyboardContext = {
+  type: 'default',
+  detail: '',
+  buttons: ['Yes', 'No', 'Proceed', 'Help'],
+  actions: ['Yes', 'No', 'Proceed', 'Help'].map(text => ({ type: 'type_text', text, enter: true })),
+  images: ['yes.rgb', 'no.rgb', 'proceed.rgb', 'help.rgb'],
+  timestamp: 0
+};
+
+export function createSession(id: string, claudePid: number, label?: string): Session {
+  const now = Date.now();
+  return {
+    id,
+    label: label || `pid ${claudePid}`,
+    claudePid,
+    context: { ...DEFAULT_CONTEXT, timestamp: now },
+    inputQueue: [],
+    callbacks: [],
+    override: null,
+    page: 0,
+    panels: [null, null, null, null],
+    state: 'idle',
+    registeredAt: now,
+    lastSeen: now
+  };
+}
+
+/**
+ * Find a session by ID, then Claude PID, then label
+ */
+export function findSession(
+  registry: SessionRegistry,
+  ref: { sessionId?: string; claudePid?: number; label?: string }
+): Session | undefined {
+  if (ref.sessionId && registry.sessions.has(ref.sessionId)) {
+    return registry.sessions.get(ref.sessionId);
+  }
+  const sessions = [...registry.sessions.values()];
+  if (ref.claudePid) {
+    const byPid = sessions.find(session => session.claudePid === ref.claudePid);
+    if (byPid) return byPid;
+  }
+  if (ref.label) {
+    return sessions.find(session => session.label === ref.label);
+  }
+  return undefined;
+}
+
+/**
+ * Find the session of a Claude process, or of a process Claude runs under (e.g. the pty
+ * input consumer's wrapper, which starts Claude as a grandchild)
+ */
+export function findProcessSession(registry: SessionRegistry, pid: number): Session | undefined {
+  const sessions = [...registry.sessions.values()];
+  return sessions.find(session => session.claudePid === pid) ||
+    sessions.find(session => isDescendant(session.claudePid, pid));
+}
+
+const MAX_PROCESS_DEPTH = 8;
+
+function isDescendant(pid: number, ancestor: number): boolean {
+  for (let depth = 0; depth < MAX_PROCESS_DEPTH && pid > 1; depth++) {
+    pid = parentPid(pid);
+    if (pid === ancestor) return true;
+  }
+  return false;
+}
+
+// Parent process ID, or 0 if the process is gone
+function parentPid(pid: number): number {
+  try {
+    if (process.platform === 'linux') {
+      // Fields after the command name, which may contain spaces: state ppid ...
+      const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf-8');
+      return parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]) || 0;
+    }
+    return parseInt(execFileSync('ps', ['-o', 'ppid=', '-p', String(pid)], { encoding: 'utf-8' })) || 0;
+  } catch (err) {
+    return 0;
+  }
+}
+
+/**
+ * The session after the active one, wrapping around
+ */
+export function nextSession(registry: SessionRegistry): Session {
+  const sessions = [...registry.sessions.values()];
+  const index = sessions.findIndex(session => session.id === registry.activeId);
+  return sessions[(index + 1) % sessions.length];
+}
+
+export function isProcessAlive(pid: number): boolean {
+  if (!pid || pid <= 0) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err: any) {
+    return err.code === 'EPERM';  // Exists but owned by another user
+  }
+}
+
+/**
+ * Session summary for status responses
+ */
+export function describeSession(registry: SessionRegistry, session: Session) {
+  return {
+    id: session.id,
+    label: session.label,
+    claudePid: session.claudePid,
+    active: session.id === registry.activeId,
+    state: session.state,
+    context: session.context.type,
+    queueLength: session.inputQueue.length,
+    override: session.override !== null,
+    page: session.page,
+    panels: session.panels.flatMap((panel, index) => panel ? [index + 1] : []),
+    lastSeen: session.lastSeen
+  };
+}
@@ -0,0 +1,116 @@
+import * as fs from 'fs';
+import * as path from 'path';
+
+/**
+ * On-disk state store.
+ *
+ * Keeps each session's last button layout and unconsumed key presses, the active
+ * session and a rolling history of context changes, key presses, session switches and
+ * server-side actions (shell commands, callbacks) so a restart doesn't reset the keyboard.
+ * Writes are debounced and atomic (temp file + rename).
+ */
+
+export const MAX_HISTORY = 200;
+const SAVE_DELAY_MS = 250;
+
+export interface HistoryEntry {
+  type: 'context' | 'key_press' | 'session' | 'action';
+  timestamp: number;
+  [key: string]: any;
+}
+
+export interface PersistedSession {
+  id: string;
+  label: string;
+  claudePid: number;
+  context: any;
+  inputQueue: any[];
+}
+
+export interface PersistedState {
+  version: 2;
+  savedAt: number;
+  activeSessionId: string;
+  sessions: PersistedSession[];
+  inputSeq: number;  // Last key press sequence number
+  history: HistoryEntry[];
+}
+
+let saveTimer: NodeJS.Timeout | null = null;
+let pending: { file: string; getState: () => Omit<PersistedState, 'version' | 'savedAt'> } | null = null;
+
+/**
+ * Load saved state, or null if there is none or it is unreadable
+ */
+export function loadState(file: string): PersistedState | null {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    if (data.version !== 2) {
+      console.error(`[State] Ignoring ${file}: unsupported version ${data.version}`);
+      return null;
+    }
+    return {
+      version: 2,
+      savedAt: data.savedAt || 0,
+      activeSessionId: data.activeSessionId || '',
+      sessions: Array.isArray(data.sessions) ? data.sessions.filter((session: any) => session?.id).map((session: any) => ({
+        id: String(session.id),
+        label: String(session.label || ''),
+        claudePid: Number(session.claudePid) || 0,
+        context: session.context || null,
+        inputQueue: Array.isArray(session.inputQueue) ? session.inputQueue : []
+      })) : [],
+      inputSeq: Number(data.inputSeq) || 0,
+      history: Array.isArray(data.history) ? data.history.slice(-MAX_HISTORY) : []
+    };
+  } catch (err: any) {
+    if (err.code !== 'ENOENT') {
+      console.error(`[State] Ignoring unreadable ${file}:`, err.message);
+    }
+    return null;
+  }
+}
+
+/**
+ * Schedule a save. getState is called when the write happens, so rapid
+ * changes collapse into one write.
+ */
+export function scheduleSave(file: string, getState: () => Omit<PersistedState, 'version' | 'savedAt'>) {
+  pending = { file, getState };
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    flushSave();
+  }, SAVE_DELAY_MS);
+}
+
+/**
+ * Write any pending save now (call on shutdown)
+ */
+export function flushSave() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!pending) return;
+
+  const { file, getState } = pending;
+  pending = null;
+
+  const state: PersistedState = {
+    version: 2,
+    savedAt: Date.now(),
+    ...getState()
+  };
+  state.history = state.history.slice(-MAX_HISTORY);
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tmpFile, file);
+  } catch (err: any) {
+    console.error(`[State] Failed to save ${file}:`, err.message);
+  }
+}
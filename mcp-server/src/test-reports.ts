@@ -0,0 +1,161 @@
+/**
+ * Test run progress.
+ *
+ * Test runners report progress as plain counts, TAP output or a JUnit XML report. TAP
+ * can arrive in pieces while the run goes on (the server parses all of it received so
+ * far); a JUnit report always describes a finished run.
+ */
+
+export interface TestFailure {
+  name: string;
+  message?: string;
+}
+
+export interface TestProgress {
+  passed: number;
+  failed: number;
+  skipped: number;
+  total?: number;           // Planned number of tests, if known
+  done: boolean;
+  failures: TestFailure[];  // First MAX_FAILURES failed tests
+}
+
+export type ReportFormat = 'tap' | 'junit';
+
+const MAX_FAILURES = 20;
+
+/**
+ * Guess a report's format: JUnit is XML, anything else is taken as TAP
+ */
+export function detectFormat(report: string): ReportFormat {
+  return report.trimStart().startsWith('<') ? 'junit' : 'tap';
+}
+
+/**
+ * Validate counts given directly (MCP tool or JSON body)
+ * @throws Error if a count is not a non-negative integer
+ */
+export function parseCounts(input: any): TestProgress {
+  const count = (field: string, optional = false) => {
+    const value = input[field];
+    if (value === undefined && optional) return undefined;
+    if (value === undefined) return 0;
+    if (!Number.isInteger(value) || value < 0) throw new Error(`${field} must be a non-negative integer`);
+    return value as number;
+  };
+
+  const failures = Array.isArray(input.failures) ? input.failures : [];
+  return {
+    passed: count('passed')!,
+    failed: count('failed')!,
+    skipped: count('skipped')!,
+    total: count('total', true),
+    done: input.done === true,
+    failures: failures.slice(0, MAX_FAILURES).map((failure: any) => typeof failure === 'string'
+      ? { name: failure }
+      : { name: String(failure?.name ?? ''), message: failure?.message === undefined ? undefined : String(failure.message) })
+  };
+}
+
+/**
+ * Count top-level TAP results ("ok", "not ok", "# SKIP"/"# TODO" directives). The run is
+ * done once the plan ("1..N") is reached, or on "Bail out!". Indented lines belong to
+ * subtests or YAML diagnostics; a failure's "message:" is taken from its diagnostics.
+ */
+export function parseTap(text: string): TestProgress {
+  const progress: TestProgress = { passed: 0, failed: 0, skipped: 0, done: false, failures: [] };
+  const lines = text.split(/\r?\n/);
+  let bailed = false;
+
+  lines.forEach((line, index) => {
+    const plan = /^1\.\.(\d+)/.exec(line);
+    if (plan) {
+      progress.total = parseInt(plan[1]);
+      return;
+    }
+    if (line.startsWith('Bail out!')) {
+      bailed = true;
+      return;
+    }
+
+    const result = /^(not )?ok\b\s*(\d+)?\s*(?:- )?([^#]*?)\s*(?:#\s*(\w+).*)?$/i.exec(line);
+    if (!result) return;
+    const [, failed, number, description, directive] = result;
+
+    if (directive && /^(skip|todo)/i.test(directive)) {
+      progress.skipped++;
+    } else if (failed) {
+      progress.failed++;
+      if (progress.failures.length < MAX_FAILURES) {
+        progress.failures.push({ name: description || `test ${number || progress.failed}`, message: tapMessage(lines, index + 1) });
+      }
+    } else {
+      progress.passed++;
+    }
+  });
+
+  const count = progress.passed + progress.failed + progress.skipped;
+  progress.done = bailed || (progress.total !== undefined && count >= progress.total);
+  return progress;
+}
+
+// The "message:" of the YAML diagnostics block following a result line, if any
+function tapMessage(lines: string[], start: number): string | undefined {
+  if (!/^\s+---\s*$/.test(lines[start] || '')) return undefined;
+  for (let index = start + 1; index < lines.length && !/^\s+\.\.\.\s*$/.test(lines[index]); index++) {
+    const message = /^\s+message:\s*(.+)$/.exec(lines[index]);
+    if (message) return message[1].replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return undefined;
+}
+
+/**
+ * Count <testcase> results in a JUnit XML report (a <failure> or <error> fails it, <skipped>
+ * skips it), falling back to the <testsuite> totals for reports without test cases
+ */
+export function parseJUnit(xml: string): TestProgress {
+  const progress: TestProgress = { passed: 0, failed: 0, skipped: 0, done: true, failures: [] };
+  const cases = xml.match(/<testcase\b[^>]*?(?:\/>|>[\s\S]*?<\/testcase>)/g) || [];
+
+  for (const testCase of cases) {
+    const failure = /<(failure|error)\b[^>]*>/.exec(testCase);
+    if (failure) {
+      progress.failed++;
+      if (progress.failures.length < MAX_FAILURES) {
+        const openTag = /^<testcase\b[^>]*>/.exec(testCase)![0];
+        const name = [attribute(openTag, 'classname'), attribute(openTag, 'name')].filter(Boolean).join('.');
+        progress.failures.push({ name: name || `test ${progress.failed}`, message: attribute(failure[0], 'message') });
+      }
+    } else if (/<skipped\b/.test(testCase)) {
+      progress.skipped++;
+    } else {
+      progress.passed++;
+    }
+  }
+
+  if (cases.length === 0) {
+    const suite = /<testsuites?\b[^>]*>/.exec(xml)?.[0] || '';
+    const total = parseInt(attribute(suite, 'tests') || '0') || 0;
+    progress.failed = (parseInt(attribute(suite, 'failures') || '0') || 0) + (parseInt(attribute(suite, 'errors') || '0') || 0);
+    progress.skipped = parseInt(attribute(suite, 'skipped') || attribute(suite, 'disabled') || '0') || 0;
+    progress.passed = Math.max(0, total - progress.failed - progress.skipped);
+  }
+
+  progress.total = progress.passed + progress.failed + progress.skipped;
+  return progress;
+}
+
+function attribute(tag: string, name: string): string | undefined {
+  const match = new RegExp(`\\s${name}="([^"]*)"`).exec(tag);
+  return match ? decodeEntities(match[1]) : undefined;
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code)))
+    .replace(/&amp;/g, '&');
+}
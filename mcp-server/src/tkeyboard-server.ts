@@ -14,8 +14,56 @@ import * as fs from 'fs';
 import * as path from 'path';
 import { fileURLToPath } from 'url';
 import { Bonjour } from 'bonjour-service';
-import { execSync } from 'child_process';
-import { ensureIcons } from './icon-generator.js';
+import {
+  AnimationName, ANIMATIONS, ensureAnimation, ensureCounterIcon, ensureImageIcon, ensureProgressIcon, ensureTileIcon,
+  ImageFit, IMAGE_FITS, TileSpec, touchIcons
+} from './icon-generator.js';
+import { adviseButtons, createAdvisor, loadAdvisorConfig } from './advisor.js';
+import {
+  Action,
+  InjectableAction,
+  McpCallbackAction,
+  ShellAction,
+  isNoop,
+  legacyText,
+  loadShellCommands,
+  normalizeAction,
+  runShellCommand
+} from './actions.js';
+import { createDeviceManifest, handleImageReply, syncImages } from './image-push.js';
+import { Gesture, chordName, parseChords, parseGestureActions } from './gestures.js';
+import { KEY_COUNT, PAGE_ACTION, PANEL_ACTION, checkOptionCount, moreLabel, pageCount, pageSlots } from './pages.js';
+import { Panel, formatPanel } from './panels.js';
+import { GitState, describeGitState, loadGitConfig, watchGit } from './git-watcher.js';
+import { HookInference, HookPayload, inferHookEvent } from './hook-events.js';
+import { PermissionDecision, PermissionRequest, describePermission, hookDecision } from './permissions.js';
+import { ReportFormat, TestProgress, detectFormat, parseCounts, parseJUnit, parseTap } from './test-reports.js';
+import { closeInputStreams, publishInput, subscribeInputs, subscriberCount } from './input-stream.js';
+import { HistoryEntry, MAX_HISTORY, loadState, scheduleSave, flushSave } from './state-store.js';
+import {
+  ButtonLayout,
+  CallbackEvent,
+  KeyboardContext,
+  Session,
+  SessionRegistry,
+  createSession,
+  describeSession,
+  findProcessSession,
+  findSession,
+  isProcessAlive,
+  nextSession
+} from './sessions.js';
+import {
+  TOOLS,
+  RESOURCES,
+  ToolName,
+  ToolHandler,
+  ToolResult,
+  textResult,
+  jsonResult,
+  errorResult,
+  isToolName
+} from './tools.js';
 
 // Get project root directory
 const __filename = fileURLToPath(import.meta.url);
@@ -28,22 +76,149 @@ const config = {
   wsPort: 8080,
   httpPort: 8081,
   debug: process.env.DEBUG === 'true',
+  // Default session (the stdio MCP client); proxies register further sessions
   sessionId: process.env.CLAUDE_SESSION_ID || `tk-${Date.now()}-${process.pid}`,
-  claudePid: parseInt(process.env.CLAUDE_PID || String(process.ppid))
+  claudePid: parseInt(process.env.CLAUDE_PID || String(process.ppid)),
+  sessionLabel: process.env.TKEYBOARD_SESSION_LABEL || 'main',
+  stateFile: process.env.TKEYBOARD_STATE_FILE || path.join(PROJECT_ROOT, '.tkeyboard', 'state.json')
 };
 
+// Button advisor (rules, external command or HTTP API - see advisor.ts)
+const advisorConfig = loadAdvisorConfig(path.join(PROJECT_ROOT, 'config.local.json'));
+const advisor = createAdvisor(advisorConfig);
+console.log(`[Advisor] Using ${advisor.name} provider`);
+
+// Commands buttons may run with a `shell` action (see actions.ts)
+const shellCommands = loadShellCommands(path.join(PROJECT_ROOT, 'config.local.json'));
+if (Object.keys(shellCommands).length > 0) {
+  console.log(`[Actions] Shell actions: ${Object.keys(shellCommands).join(', ')}`);
+}
+
+// Repository whose state feeds the git_operations context (see git-watcher.ts)
+const gitConfig = loadGitConfig(path.join(PROJECT_ROOT, 'config.local.json'));
+let gitState: GitState | null = null;
+
 // State
 let tkeyboardClient: WebSocket | null = null;
-const inputQueue: Array<{ key: number; text: string; timestamp: number }> = [];
-const MAX_QUEUE_SIZE = 20;
+let deviceManifest = createDeviceManifest();  // Icons the connected device holds (reset per connection)
+let imageSync: Promise<void> = Promise.resolve();  // Serializes icon pushes
+let layoutGeneration = 0;  // Bumped per sendButtons() so stale layouts are dropped after a push
+const MAX_QUEUE_SIZE = 20;  // Per-session input queue
+const MAX_CALLBACKS = 20;   // Per-session mcp_callback presses kept for tkeyboard://callbacks
+let inputSeq = 0;  // Sequence number of the last key press (see input-stream.ts)
 const messageQueue: Array<any> = [];  // Queue messages when connection is down
 const MAX_MESSAGE_QUEUE = 5;
-let currentContext = {
-  type: 'default',
-  detail: '',
-  buttons: ['Yes', 'No', 'Proceed', 'Help'],
-  images: ['yes.rgb', 'no.rgb', 'proceed.rgb', 'help.rgb'],
-  timestamp: Date.now()
+const history: HistoryEntry[] = [];  // Rolling log of context changes, key presses and session switches
+
+// Claude sessions sharing the keyboard (see sessions.ts)
+const registry: SessionRegistry = { sessions: new Map(), activeId: config.sessionId };
+registry.sessions.set(config.sessionId, createSession(config.sessionId, config.claudePid, config.sessionLabel));
+const SESSION_PRUNE_INTERVAL_MS = 30000;
+const SESSION_BANNER_MS = 1500;  // How long the keyboard shows the session name after a switch
+let sessionBannerTimer: NodeJS.Timeout | null = null;
+
+// Timers clearing status panels shown for a limited time, by "<session ID>:<key>"
+const panelTimers = new Map<string, NodeJS.Timeout>();
+
+// Test runs in progress, by session ID (see reportTestProgress)
+interface TestRun {
+  progress: TestProgress;
+  tap: string;                      // TAP received so far
+  layout: ButtonLayout | null;      // Dashboard shown as the session's override
+  previous: ButtonLayout | null;    // Override the dashboard replaced
+  renderedAt: number;
+  timer: NodeJS.Timeout | null;     // Pending dashboard render
+}
+const testRuns = new Map<string, TestRun>();
+const DASHBOARD_INTERVAL_MS = 1000;  // Every render makes up to four new icons
+
+// Hook payloads received per session (see ingestHookEvent)
+interface HookState {
+  queue: Promise<void>;                 // Inferred contexts are advised one at a time, in order
+  contextAt?: number;                   // Timestamp of the context as hooks last left it
+  permission: KeyboardContext | null;   // Context a permission question replaced
+}
+const hookStates = new Map<string, HookState>();
+
+// Most recent tap or gesture from the keyboard, for GET /status
+let lastGesture: { gesture: Gesture; session: string; key: number; keys?: number[]; timestamp: number } | null = null;
+
+// Restore layouts, pending inputs, active session and history from the last run.
+// Sessions whose Claude process has exited are dropped; our own Claude process's
+// session becomes the default session even if its ID changed.
+const savedState = loadState(config.stateFile);
+if (savedState) {
+  for (const saved of savedState.sessions) {
+    const isDefault = saved.claudePid === config.claudePid;
+    const id = isDefault ? config.sessionId : saved.id;
+    if (isDefault && saved.id === savedState.activeSessionId) {
+      savedState.activeSessionId = id;
+    }
+    let session = registry.sessions.get(id);
+    if (!session) {
+      if (!isProcessAlive(saved.claudePid)) continue;
+      session = createSession(id, saved.claudePid, saved.label);
+      registry.sessions.set(id, session);
+    }
+    if (saved.context) {
+      try {
+        session.context = {
+          type: saved.context.type ?? session.context.type,
+          detail: saved.context.detail ?? '',
+          timestamp: saved.context.timestamp ?? Date.now(),
+          ...restoreLayout(saved.context)
+        };
+      } catch (err: any) {
+        console.error(`[State] Ignoring saved layout of ${session.label}: ${err.message}`);
+      }
+    }
+    session.inputQueue.push(...saved.inputQueue.slice(-MAX_QUEUE_SIZE));
+  }
+  inputSeq = savedState.inputSeq;
+  if (registry.sessions.has(savedState.activeSessionId)) {
+    registry.activeId = savedState.activeSessionId;
+  }
+  history.push(...savedState.history);
+  console.log(`[State] Restored ${registry.sessions.size} sessions, ${history.length} history entries`);
+}
+
+// Status state machine - mirrors the firmware FSM states the server can drive
+type KeyboardState = 'idle' | 'thinking' | 'limit' | 'error';
+const status = {
+  state: 'idle' as KeyboardState,
+  returnState: 'idle' as KeyboardState,  // State to restore when limit/error clears
+  countdown: 0,                          // Seconds left in rate-limit mode (0 = unknown)
+  message: '',
+  timer: null as NodeJS.Timeout | null
+};
+
+// Keys the firmware repurposes on its RATE LIMIT and ERROR screens
+const STATUS_KEYS: Record<string, Record<number, string>> = {
+  limit: { 4: 'Continue' },
+  error: { 3: 'Continue', 4: 'Retry' }
+};
+
+const BUTTON_COLORS = ['#00FFFF', '#FFFF00', '#FFFFFF', '#00FF00'];
+const MORE_COLOR = '#808080';
+const PANEL_COLOR = '#FFA500';
+const MAX_PANEL_SECONDS = 3600;
+const MAX_PROMPT_SECONDS = 240;  // Below the proxy's HTTP timeout (REQUEST_TIMEOUT_MS, 300s)
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;  // create_keyboard_image input
+const STOP_LAYOUT: ButtonLayout = {
+  buttons: ['STOP', '', '', ''],
+  actions: ['STOP', '', '', ''].map(text => normalizeAction(text)),
+  images: ['stop.rgb', '', '', '']
+};
+
+// Lifecycle events accepted by POST /state/update (sent by Claude Code hooks).
+// Each maps to a firmware `status` state and what to do with the button override.
+const STATE_EVENTS: Record<string, { state: KeyboardState; override: 'stop' | 'clear' | 'keep' }> = {
+  thinking_start: { state: 'thinking', override: 'stop' },
+  thinking_end: { state: 'idle', override: 'clear' },
+  tool_start: { state: 'thinking', override: 'stop' },
+  tool_end: { state: 'idle', override: 'clear' },
+  rate_limited: { state: 'limit', override: 'keep' },
+  error: { state: 'error', override: 'keep' }
 };
 
 // Initialize Bonjour for mDNS
@@ -55,6 +230,7 @@ const wss = new WebSocketServer({ port: config.wsPort });
 wss.on('connection', (ws: WebSocket) => {
   console.log('[WS] T-Keyboard connected');
   tkeyboardClient = ws;
+  deviceManifest = createDeviceManifest();
 
   ws.on('message', (message: WebSocket.RawData) => {
     try {
@@ -94,22 +270,10 @@ wss.on('connection', (ws: WebSocket) => {
   }, 30000);
 
   // Send initial state
-  sendToKeyboard({
-    type: 'status',
-    state: 'idle'
-  });
+  sendStatus();
 
   // Send current buttons
-  sendToKeyboard({
-    type: 'update_options',
-    session_id: Date.now().toString(),
-    options: currentContext.buttons.map((text, index) => ({
-      text: text || '',
-      action: text || '',
-      image: currentContext.images[index] || '',
-      color: index === 0 ? '#00FFFF' : index === 1 ? '#FFFF00' : index === 2 ? '#FFFFFF' : '#00FF00'
-    }))
-  });
+  sendButtons();
 
   // Send any queued messages
   if (messageQueue.length > 0) {
@@ -125,29 +289,463 @@ wss.on('connection', (ws: WebSocket) => {
 function handleKeyboardMessage(data: any) {
   if (config.debug) console.log('[WS] From keyboard:', data);
 
+  // Replies to image_query / image chunks
+  if (handleImageReply(deviceManifest, data)) return;
+
   switch (data.type) {
     case 'register':
       console.log('[WS] T-Keyboard registered');
       break;
 
     case 'key_press':
-      // Queue the input for daemon to retrieve
-      inputQueue.push({
-        key: data.key,
-        text: data.text,
-        timestamp: Date.now()
-      });
-
-      // Limit queue size
-      while (inputQueue.length > MAX_QUEUE_SIZE) {
-        inputQueue.shift();
+    case 'long_press':
+    case 'double_tap':
+    case 'chord': {
+      // The firmware echoes the session_id of the layout it showed, so a press
+      // right after a switch still goes to the session whose button it was
+      const session = registry.sessions.get(data.session_id) || activeSession();
+      const gesture: Gesture = data.type === 'key_press' ? 'tap' : data.type;
+
+      lastGesture = { gesture, session: session.id, key: data.key, keys: data.keys, timestamp: Date.now() };
+
+      // On the RATE LIMIT / ERROR screens the firmware still sends the hidden
+      // option's action, so translate to the key actually shown
+      if (status.state === 'limit' || status.state === 'error') {
+        const statusText = gesture === 'tap' && STATUS_KEYS[status.state][data.key];
+        if (!statusText) {
+          console.log(`[Input] Ignored ${gesture} on key ${data.key ?? data.keys} on ${status.state} screen`);
+          break;
+        }
+        // Firmware leaves its status screen on Continue - keep the server in sync
+        if (statusText === 'Continue') {
+          clearKeyboardStatus();
+        }
+        performAction(session, { key: data.key, gesture, action: normalizeAction(statusText) });
+        break;
       }
 
-      console.log(`[Input] Queued: "${data.text}" (${inputQueue.length} items)`);
+      handleGesture(session, gesture, data);
       break;
+    }
+  }
+}
+
+// A layout waiting for the user to pick one of its options (present_choices, ask_user_via_keyboard)
+interface Prompt {
+  layout: ButtonLayout;
+  previous: ButtonLayout | null;  // Override to restore afterwards
+  returnOnly: boolean;            // The pick goes back to the caller instead of being performed
+  finish(press: Press | null): void;
+}
+const prompts = new Map<string, Prompt>();  // By session ID
+
+// Tool permission requests waiting for a decision (see requestPermission), by ID. A session
+// shows its oldest request; the others wait their turn, their timeouts running.
+interface PendingDecision {
+  id: string;
+  session: Session;
+  request: PermissionRequest;
+  createdAt: number;
+  deadline: number;
+  layout: ButtonLayout | null;  // Prompt showing the request, once its turn comes
+  finish(decision: PermissionDecision, reason: string): void;
+}
+const pendingDecisions = new Map<string, PendingDecision>();
+const allowedRules = new Map<string, Set<string>>();  // "Allow always" rules by session ID
+let decisionSeq = 0;
+
+const DECISION_BUTTONS = ['Allow once', 'Allow always', 'Deny', 'Show details'];
+const DECISION_CHOICES = ['once', 'always', 'deny', 'details'];
+const DECISION_EMOJIS = ['✅', '🔓', '⛔', '🔍'];
+
+// A key press resolved to the layout option it showed
+interface Press {
+  key: number;        // Physical key (a chord's first key)
+  keys?: number[];    // Chord keys
+  option?: number;    // Layout option index, unless the press couldn't be matched to the layout
+  gesture: Gesture;
+  action: Action;
+}
+
+// Carry out a tap or gesture on the session's visible page. A gesture the option has no
+// action for does what the key does anyway: a long press switches session on key 1 and
+// goes back a page on More, anything else falls back to the tap (twice for a double tap).
+function handleGesture(session: Session, gesture: Gesture, data: any) {
+  const layout = visibleLayout(session);
+
+  if (gesture === 'chord') {
+    const keys = Array.isArray(data.keys) ? data.keys.map(Number) : [];
+    const chord = layout.chords?.find(candidate => chordName(candidate.keys) === chordName(keys));
+    if (!chord) {
+      console.log(`[Input] ${session.label}: no action for chord ${chordName(keys)}`);
+      return;
+    }
+    performAction(session, { key: chord.keys[0], keys: chord.keys, gesture, action: chord.action });
+    return;
+  }
+
+  const press = resolvePress(session, data.key, String(data.text ?? ''));
+  if (press === 'more') {
+    turnPage(session, gesture === 'long_press' ? -1 : 1);
+    return;
+  }
+  if (press === 'panel' || press === 'dismiss') {
+    if (gesture === 'long_press' && registry.sessions.size > 1) {
+      selectSession(nextSession(registry));
+    } else if (press === 'dismiss') {
+      clearPanels(session, [data.key]);
+    }
+    return;
+  }
+
+  const gestureActions = gesture === 'long_press' ? layout.longPress : gesture === 'double_tap' ? layout.doubleTap : undefined;
+  const gestureAction = press.option === undefined ? null : gestureActions?.[press.option];
+  if (gestureAction) {
+    performAction(session, { ...press, gesture, action: gestureAction });
+  } else if (gesture === 'long_press' && press.key === 1 && registry.sessions.size > 1) {
+    selectSession(nextSession(registry));
+  } else {
+    performAction(session, press);
+    if (gesture === 'double_tap') performAction(session, press);
   }
 }
 
+// Resolve a pressed key to its layout option, the More key or a panel. The firmware only echoes
+// the option's action string, so look the key up on the page the session is showing; if
+// that changed since it was shown, find the option by its string, else use the string
+// as a legacy action. Tapping a status panel dismisses it, bringing the key's button back.
+function resolvePress(session: Session, key: number, text: string): Press | 'more' | 'panel' | 'dismiss' {
+  const layout = visibleLayout(session);
+  const slot = keySlots(session)[key - 1];
+
+  if (slot && 'more' in slot) {
+    if (text === PAGE_ACTION) return 'more';
+  } else if (slot && 'option' in slot && optionAction(layout, slot.option) === text) {
+    return { key, option: slot.option, gesture: 'tap', action: layout.actions[slot.option] };
+  }
+
+  // Also when the panel has gone since: a panel press is never typed
+  if (text === PANEL_ACTION) return statusPanel(session, key) ? 'dismiss' : 'panel';
+  if (text === PAGE_ACTION) return 'more';
+  const option = layout.buttons.findIndex((_, index) => optionAction(layout, index) === text);
+  if (option !== -1) {
+    return { key, option, gesture: 'tap', action: layout.actions[option] };
+  }
+  return { key, gesture: 'tap', action: normalizeAction(text) };
+}
+
+// Carry out a key press: shell and mcp_callback actions run here, the rest are
+// queued for the session's input consumers
+function performAction(session: Session, press: Press) {
+  // An option of a prompt's layout answers the prompt
+  const prompt = prompts.get(session.id);
+  const answer = prompt && press.option !== undefined && visibleLayout(session) === prompt.layout;
+  if (answer && prompt.returnOnly) {
+    prompt.finish(press);
+    return;
+  }
+
+  const { key, action } = press;
+  if (isNoop(action)) {
+    console.log(`[Input] Key ${key} ${press.gesture} has no action`);
+  } else if (action.type === 'shell') {
+    runShellAction(session, press, action);
+  } else if (action.type === 'mcp_callback') {
+    recordCallback(session, press, action);
+  } else {
+    queueInput(session, press, action);
+  }
+  if (answer) prompt.finish(press);
+}
+
+// Show a layout over the session's buttons until one of its options is pressed.
+// Resolves with the press, or null on timeout or when replaced by another prompt.
+function promptUser(session: Session, layout: ButtonLayout, timeoutMs: number, returnOnly = false): Promise<Press | null> {
+  prompts.get(session.id)?.finish(null);
+
+  const prompt: Prompt = {
+    layout,
+    previous: session.override,
+    returnOnly,
+    finish: () => {}
+  };
+  session.override = layout;
+  session.page = 0;
+  if (session.id === registry.activeId) sendButtons();
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => prompt.finish(null), timeoutMs);
+    prompt.finish = (press) => {
+      clearTimeout(timer);
+      prompts.delete(session.id);
+      // Put back whatever the prompt covered (or was set meanwhile, e.g. by a hook)
+      if (session.override === layout) {
+        session.override = prompt.previous;
+        session.page = 0;
+        if (session.id === registry.activeId) sendButtons();
+      }
+      resolve(press);
+    };
+    prompts.set(session.id, prompt);
+  });
+}
+
+// Show a question with numbered choices and wait for one (null on timeout). The pick is also typed
+// into the terminal as a digit, or as Down presses + Enter, for Claude Code's numbered prompts.
+async function presentChoices(
+  session: Session,
+  args: { question: string; choices: string[]; selection?: string; timeout_seconds?: number }
+) {
+  const { question, choices, selection = 'digit' } = args;
+  if (typeof question !== 'string' || !question.trim()) {
+    throw new Error('question is required');
+  }
+  if (!Array.isArray(choices) || choices.length < 2 || !choices.every(choice => typeof choice === 'string')) {
+    throw new Error('choices must be at least 2 strings');
+  }
+  checkOptionCount(choices.length);
+  if (!['digit', 'arrows', 'none'].includes(selection)) {
+    throw new Error(`Unknown selection: ${selection}. Expected digit, arrows or none`);
+  }
+  const timeoutSeconds = promptSeconds(args.timeout_seconds);
+
+  // Digits only reach 9
+  const useDigits = selection === 'digit' && choices.length <= 9;
+  const layout = parseLayout({
+    buttons: choices,
+    actions: choices.map((_, index): Action => {
+      if (selection === 'none') return { type: 'type_text', text: '', enter: false };
+      if (useDigits) return { type: 'type_text', text: String(index + 1), enter: false };
+      return { type: 'key_sequence', keys: [...Array(index).fill('down'), 'enter'] };
+    })
+  });
+  layout.panel = formatPanel('Question', question);
+
+  console.log(`[Prompt] ${session.label}: "${question}" (${choices.length} choices, ${timeoutSeconds}s)`);
+  const press = await promptUser(session, layout, timeoutSeconds * 1000);
+  if (!press) {
+    console.log(`[Prompt] ${session.label}: no choice within ${timeoutSeconds}s`);
+    return null;
+  }
+
+  const number = press.option! + 1;
+  console.log(`[Prompt] ${session.label}: chose ${number}. ${choices[press.option!]}`);
+  return { choice: choices[press.option!], number };
+}
+
+// Show buttons and wait for the next press on one of them (null on timeout). Nothing is typed
+// or run: the option's action, as given, is returned to the caller and the buttons are reset.
+async function askUser(session: Session, args: LayoutSpec & { timeout_seconds?: number }) {
+  const layout = parseLayout(args);
+  const timeoutSeconds = promptSeconds(args.timeout_seconds);
+
+  console.log(`[Prompt] ${session.label}: asking ${layout.buttons.join(', ')} (${timeoutSeconds}s)`);
+  const press = await promptUser(session, layout, timeoutSeconds * 1000, true);
+  if (!press) {
+    console.log(`[Prompt] ${session.label}: no answer within ${timeoutSeconds}s`);
+    return null;
+  }
+
+  const option = press.option!;
+  const action = args.actions?.[option] ?? layout.buttons[option];
+  console.log(`[Prompt] ${session.label}: answered ${layout.buttons[option]} (${press.gesture})`);
+  recordHistory({ type: 'action', timestamp: Date.now(), session: session.id, key: press.key, gesture: press.gesture, action: 'answer', option: option + 1 });
+  return { button: layout.buttons[option], option: option + 1, action };
+}
+
+// Hold a tool call from a PermissionRequest hook until it is decided on the keyboard (or
+// over HTTP). Resolves with "ask" on timeout, which gives Claude Code no decision.
+function requestPermission(session: Session, payload: HookPayload, timeoutSeconds?: number) {
+  const request = describePermission(payload);
+  if (allowedRules.get(session.id)?.has(request.rule)) {
+    console.log(`[Permission] ${session.label}: ${request.rule} is allowed always`);
+    return { result: Promise.resolve({ decision: 'allow' as PermissionDecision, reason: `${request.rule} is allowed always on the T-Keyboard` }) };
+  }
+
+  const timeoutMs = promptSeconds(timeoutSeconds) * 1000;
+  const id = `perm-${++decisionSeq}`;
+  const result = new Promise<{ decision: PermissionDecision; reason: string }>(resolve => {
+    const timer = setTimeout(() => pending.finish('ask', 'No answer on the T-Keyboard'), timeoutMs);
+    const pending: PendingDecision = {
+      id,
+      session,
+      request,
+      createdAt: Date.now(),
+      deadline: Date.now() + timeoutMs,
+      layout: null,
+      finish: (decision, reason) => {
+        if (!pendingDecisions.delete(id)) return;
+        clearTimeout(timer);
+        console.log(`[Permission] ${session.label}: ${request.tool} ${decision} (${reason})`);
+        const prompt = prompts.get(session.id);
+        if (prompt && prompt.layout === pending.layout) prompt.finish(null);
+        resolve({ decision, reason });
+        showNextDecision(session);
+      }
+    };
+    pendingDecisions.set(id, pending);
+  });
+
+  console.log(`[Permission] ${session.label}: ${request.tool} ${request.detail} (${timeoutMs / 1000}s)`);
+  showNextDecision(session);
+  return { id, result };
+}
+
+// Show the session's oldest pending request, unless one is showing already
+function showNextDecision(session: Session) {
+  const waiting = [...pendingDecisions.values()].filter(pending => pending.session === session);
+  if (waiting.length === 0 || waiting.some(pending => pending.layout)) return;
+  showDecision(waiting[0]).catch((err: any) => {
+    console.error(`[Permission] ${session.label}: showing request failed:`, err.message);
+    waiting[0].finish('ask', 'The T-Keyboard could not show the request');
+  });
+}
+
+async function showDecision(pending: PendingDecision) {
+  const { session, request } = pending;
+  let images: string[];
+  try {
+    images = await buttonTiles(DECISION_BUTTONS, DECISION_EMOJIS);
+  } catch (err: any) {
+    console.error('[Permission] Icons failed, showing text:', err.message);
+    images = ['', '', '', ''];
+  }
+
+  // "Show details" swaps to the tool name and command on key 1, above the three decisions
+  let details = false;
+  while (pendingDecisions.has(pending.id)) {
+    const count = details ? 3 : 4;
+    const layout = parseLayout({
+      buttons: DECISION_BUTTONS.slice(0, count),
+      actions: DECISION_CHOICES.slice(0, count),
+      images: images.slice(0, count)
+    });
+    if (details) layout.panel = formatPanel(request.tool, request.detail);
+    pending.layout = layout;
+
+    const press = await promptUser(session, layout, Math.max(0, pending.deadline - Date.now()), true);
+    if (!pendingDecisions.has(pending.id)) return;  // Timed out or decided over HTTP
+    if (!press) {
+      pending.finish('ask', 'Another prompt replaced the request on the T-Keyboard');
+      return;
+    }
+
+    recordHistory({ type: 'action', timestamp: Date.now(), session: session.id, key: press.key, gesture: press.gesture, action: 'permission', option: press.option! + 1 });
+    const choice = DECISION_CHOICES[press.option!];
+    if (choice === 'details') {
+      details = true;
+    } else if (choice === 'always') {
+      allowAlways(session, request.rule);
+      pending.finish('allow', `Allowed on the T-Keyboard, and ${request.rule} from now on`);
+    } else {
+      pending.finish(choice === 'once' ? 'allow' : 'deny', `${choice === 'once' ? 'Allowed' : 'Denied'} on the T-Keyboard`);
+    }
+  }
+}
+
+// Remember an "Allow always" rule for the session, allowing requests it covers that are waiting
+function allowAlways(session: Session, rule: string) {
+  let rules = allowedRules.get(session.id);
+  if (!rules) {
+    rules = new Set();
+    allowedRules.set(session.id, rules);
+  }
+  rules.add(rule);
+  for (const pending of pendingDecisions.values()) {
+    if (pending.session === session && pending.request.rule === rule && !pending.layout) {
+      pending.finish('allow', `${rule} is allowed always on the T-Keyboard`);
+    }
+  }
+}
+
+function describeDecision(pending: PendingDecision) {
+  return {
+    id: pending.id,
+    session: pending.session.id,
+    tool: pending.request.tool,
+    detail: pending.request.detail,
+    rule: pending.request.rule,
+    showing: pending.layout !== null,
+    waitingSeconds: Math.round((Date.now() - pending.createdAt) / 1000),
+    remainingSeconds: Math.max(0, Math.round((pending.deadline - Date.now()) / 1000))
+  };
+}
+
+function promptSeconds(timeoutSeconds?: number): number {
+  return Math.min(Math.max(1, timeoutSeconds || 120), MAX_PROMPT_SECONDS);
+}
+
+// Queue an input until a consumer acknowledges it, and push it to subscribers
+function queueInput(session: Session, press: Press, action: InjectableAction) {
+  const { key } = press;
+  const input = {
+    seq: ++inputSeq,
+    key,
+    option: press.option === undefined ? undefined : press.option + 1,
+    gesture: press.gesture,
+    text: legacyText(action),
+    action,
+    timestamp: Date.now()
+  };
+  session.inputQueue.push(input);
+  publishInput(session, input);
+
+  // Limit queue size
+  while (session.inputQueue.length > MAX_QUEUE_SIZE) {
+    session.inputQueue.shift();
+  }
+
+  recordHistory({
+    type: 'key_press',
+    timestamp: input.timestamp,
+    session: session.id,
+    seq: input.seq,
+    key,
+    keys: press.keys,
+    option: input.option,
+    gesture: press.gesture,
+    text: input.text,
+    action: action.type
+  });
+
+  console.log(`[Input] Queued #${input.seq} for ${session.label}: ${JSON.stringify(action)} (${session.inputQueue.length} items, ${subscriberCount(session)} subscribers)`);
+}
+
+// Run a whitelisted command for a shell button (output goes to the log and history)
+function runShellAction(session: Session, { key, gesture }: Press, action: ShellAction) {
+  const shell = shellCommands[action.command];
+  if (!shell) {
+    // Layout set before the command was removed from config.local.json
+    console.error(`[Actions] Shell action "${action.command}" is no longer configured`);
+    return;
+  }
+
+  console.log(`[Actions] ${session.label}: running "${action.command}" (${[shell.command, ...(shell.args || [])].join(' ')})`);
+  runShellCommand(shell).then(({ code, output }) => {
+    console.log(`[Actions] "${action.command}" exited with ${code}${output ? `:\n${output}` : ''}`);
+    recordHistory({ type: 'action', timestamp: Date.now(), session: session.id, key, gesture, action: 'shell', command: action.command, code });
+  });
+}
+
+// Keep an mcp_callback press for the session's MCP client (tkeyboard://callbacks)
+function recordCallback(session: Session, { key, option, gesture }: Press, action: McpCallbackAction) {
+  const event: CallbackEvent = {
+    key,
+    option: option === undefined ? undefined : option + 1,
+    gesture,
+    name: action.name,
+    data: action.data,
+    timestamp: Date.now()
+  };
+  session.callbacks.push(event);
+  while (session.callbacks.length > MAX_CALLBACKS) {
+    session.callbacks.shift();
+  }
+
+  console.log(`[Actions] ${session.label}: callback "${action.name}" from key ${key}`);
+  recordHistory({ type: 'action', timestamp: event.timestamp, session: session.id, key, gesture, action: 'mcp_callback', name: action.name });
+}
+
 // Send message to T-Keyboard
 function sendToKeyboard(data: any) {
   if (tkeyboardClient && tkeyboardClient.readyState === WebSocket.OPEN) {
@@ -181,188 +779,1142 @@ function queueMessage(data: any) {
   }
 }
 
-// Handle MCP tool calls (shared between stdio and HTTP proxy)
-async function handleMcpToolCall(name: string, args: any): Promise<any> {
-  if (name === 'update_keyboard_context') {
+// Send the active session's visible layout (override if set, else its context) to T-Keyboard,
+// one page at a time. Icons the device lacks are pushed first; the layout goes out once it has them all.
+function sendButtons() {
+  const session = activeSession();
+  const generation = ++layoutGeneration;
+  const options = pageOptions(session);
+  const images = options.map(option => option.image);
+  touchIcons(images);
+
+  const message = {
+    type: 'update_options',
+    session_id: session.id,  // Echoed back in key_press
+    options
+  };
+
+  // Not connected - queue the layout; icons are pushed after reconnect
+  if (!tkeyboardClient) {
+    sendToKeyboard(message);
+    return;
+  }
+
+  const manifest = deviceManifest;
+  imageSync = imageSync
+    .then(() => syncImages(manifest, ICON_CACHE_DIR, images, sendToKeyboard))
+    .catch((err: any) => {
+      console.error('[Images] Icon push failed, device will fetch over HTTP:', err.message);
+    })
+    .then(() => {
+      // A newer layout was requested while pushing - it will be sent instead
+      if (generation !== layoutGeneration || manifest !== deviceManifest) return;
+      sendToKeyboard(message);
+      // update_options clears display overrides, so the panel text follows it
+      sendPanels(session);
+    });
+}
+
+// Draw the panels a session's keys show over the buttons update_options drew
+function sendPanels(session: Session) {
+  keySlots(session).forEach((slot, index) => {
+    const panel = slot && 'panel' in slot ? shownPanel(session, index + 1) : null;
+    if (panel) {
+      sendToKeyboard({ type: 'display_update', display: index, title: panel.title, content: panel.content });
+    }
+  });
+}
+
+// The four options of the page a session is showing, as sent in update_options
+function pageOptions(session: Session) {
+  const layout = visibleLayout(session);
+  const page = currentPage(session);
+  const pages = sessionPages(session);
+  const chordKeys = new Set((layout.chords || []).flatMap(chord => chord.keys));
+
+  return keySlots(session).map((slot, index) => {
+    // Gestures the firmware should wait for on this key. Key 1 always takes a long
+    // press (session switch) and More a long press (previous page).
+    const key = index + 1;
+    const gestures: Gesture[] = chordKeys.has(key) ? ['chord'] : [];
+    const option = slot && 'option' in slot ? slot.option : -1;
+    if (key === 1 || (slot && 'more' in slot) || layout.longPress?.[option]) gestures.push('long_press');
+    if (layout.doubleTap?.[option]) gestures.push('double_tap');
+
+    if (slot && 'panel' in slot) {
+      return { text: shownPanel(session, key)?.title || '', action: PANEL_ACTION, action_type: 'panel', gestures, image: '', color: PANEL_COLOR };
+    }
+    if (!slot) {
+      return { text: '', action: '', action_type: 'type_text', gestures, image: '', color: BUTTON_COLORS[index] };
+    }
+    if ('more' in slot) {
+      return { text: moreLabel(page, pages), action: PAGE_ACTION, action_type: 'page', gestures, image: '', color: MORE_COLOR };
+    }
+    return {
+      text: layout.buttons[slot.option] || '',
+      action: optionAction(layout, slot.option),  // Echoed back in key_press
+      action_type: layout.actions[slot.option]?.type || 'type_text',
+      gestures,
+      image: layout.images[slot.option] || '',
+      color: optionColor(slot.option)
+    };
+  });
+}
+
+// The layout the keys show for a session: its override if set, else its context
+function visibleLayout(session: Session): ButtonLayout {
+  return session.override || session.context;
+}
+
+// The session's page, clamped in case the layout shrank or panels took keys
+function currentPage(session: Session): number {
+  return Math.min(session.page, sessionPages(session) - 1);
+}
+
+// Keys showing a status panel
+function panelKeys(session: Session): number[] {
+  return session.panels.flatMap((panel, index) => panel ? [index + 1] : []);
+}
+
+function sessionPages(session: Session): number {
+  return pageCount(visibleLayout(session), panelKeys(session));
+}
+
+// What each key of a session shows on its current page
+function keySlots(session: Session) {
+  return pageSlots(visibleLayout(session), currentPage(session), panelKeys(session));
+}
+
+// The panel a key shows: the visible layout's own panel (key 1) over a status panel
+function shownPanel(session: Session, key: number): Panel | null {
+  const { panel } = visibleLayout(session);
+  return key === 1 && panel ? panel : session.panels[key - 1];
+}
+
+// A status panel the key is showing (not covered by a layout's panel)
+function statusPanel(session: Session, key: number): Panel | null {
+  const panel = session.panels[key - 1];
+  return panel && shownPanel(session, key) === panel ? panel : null;
+}
+
+// More key: show the next (or with step -1 the previous) page of the session's layout, wrapping around
+function turnPage(session: Session, step = 1) {
+  const pages = sessionPages(session);
+  session.page = (currentPage(session) + step + pages) % pages;
+  console.log(`[Input] ${session.label}: page ${session.page + 1}/${pages}`);
+  if (session.id === registry.activeId) sendButtons();
+}
+
+// The string the firmware stores for an option and echoes when it is pressed:
+// the action's plain-string form, or the label for actions without one
+function optionAction(layout: ButtonLayout, index: number): string {
+  const action = layout.actions[index];
+  return (action && legacyText(action)) || layout.buttons[index] || '';
+}
+
+// Layout fields accepted from callers (set_keyboard_buttons, POST /update, state events)
+interface LayoutSpec {
+  buttons: string[];
+  actions?: unknown[];
+  images?: string[];
+  icons?: unknown;     // Tiles rendered per button (set_keyboard_buttons, POST /update)
+  long_press_actions?: unknown;
+  double_tap_actions?: unknown;
+  chords?: unknown;
+}
+
+// Icon fields a caller may give per button; the label is the button's. With an animation
+// the key shows a GIF of the label instead of a tile.
+type ButtonIcon = Omit<TileSpec, 'type' | 'layout' | 'label'> & {
+  animation?: AnimationName;
+  frames?: number;
+  delay?: number;
+};
+
+// Validate per-button icons: an object of icon fields, or null to keep the button's image
+function parseIcons(icons: unknown, count: number): Array<ButtonIcon | null> {
+  if (!Array.isArray(icons)) {
+    throw new Error('icons must be an array');
+  }
+  const parsed = Array.from({ length: count }, (_, index): ButtonIcon | null => {
+    const icon = icons[index];
+    if (icon === undefined || icon === null || icon === '') return null;
+    if (typeof icon !== 'object' || Array.isArray(icon)) {
+      throw new Error(`Button ${index + 1} icon must be an object or null`);
+    }
+    for (const field of ['emoji', 'color', 'background', 'border']) {
+      if (icon[field] !== undefined && typeof icon[field] !== 'string') {
+        throw new Error(`Button ${index + 1} icon ${field} must be a string`);
+      }
+    }
+    const { badge, animation, frames, delay } = icon;
+    const badgeText = badge && typeof badge === 'object' ? badge.text : badge;
+    if (badge !== undefined && !['string', 'number'].includes(typeof badgeText)) {
+      throw new Error(`Button ${index + 1} icon badge must be a string, number or {text, color}`);
+    }
+    if (animation !== undefined && !ANIMATIONS.includes(animation)) {
+      throw new Error(`Button ${index + 1} icon animation must be one of ${ANIMATIONS.join(', ')}`);
+    }
+    for (const [field, value] of Object.entries({ frames, delay })) {
+      if (value !== undefined && !(typeof value === 'number' && value > 0)) {
+        throw new Error(`Button ${index + 1} icon ${field} must be a positive number`);
+      }
+    }
+    const { emoji, color, background, border } = icon;
+    return { emoji, color, background, border, badge, animation, frames, delay };
+  });
+
+  if (parsed.filter(icon => icon?.animation).length > 1) {
+    throw new Error('Only one button can be animated (the keyboard plays one GIF at a time)');
+  }
+  return parsed;
+}
+
+// Render a button's icon: its animation, or its tile
+function ensureButtonIcon(label: string, option: number, icon: ButtonIcon): Promise<string> {
+  const { animation, frames, delay, color, background } = icon;
+  if (!animation) {
+    return ensureTileIcon(buttonTile(label, option, icon));
+  }
+  return ensureAnimation({ type: 'animation', animation, label, color: color || optionColor(option), background, frames, delay });
+}
+
+// A button's tile: its emoji over its label (or the label alone), in the option's color
+function buttonTile(label: string, option: number, icon: ButtonIcon): TileSpec {
+  const { emoji, color, background, border, badge } = icon;
+  return {
+    type: 'tile',
+    layout: emoji ? 'emoji-label' : 'label',
+    label,
+    emoji,
+    color: color || optionColor(option),
+    background,
+    border,
+    badge
+  };
+}
+
+// Emoji-over-label tiles for buttons (advisor suggestions, decision and test prompts)
+function buttonTiles(buttons: string[], emojis: string[]): Promise<string[]> {
+  return Promise.all(buttons.map((label, index) => ensureTileIcon(buttonTile(label, index, { emoji: emojis[index] }))));
+}
+
+// Text and tile color of a layout's option (the firmware draws text-only options in it)
+function optionColor(option: number): string {
+  return BUTTON_COLORS[option % BUTTON_COLORS.length];
+}
+
+// Render custom key art from base64 data or a local file (create_keyboard_image)
+// and return its cache filename, which layouts use as an image
+async function createImage(args: { data?: string; path?: string; fit?: string; background?: string; dither?: boolean }): Promise<string> {
+  const { fit = 'contain', background = '#000000', dither = false } = args;
+  if ((args.data === undefined) === (args.path === undefined)) {
+    throw new Error('Give either data or path');
+  }
+  if (!IMAGE_FITS.includes(fit as ImageFit)) {
+    throw new Error(`Unknown fit: ${fit}. Expected ${IMAGE_FITS.join(', ')}`);
+  }
+  if (typeof background !== 'string' || typeof dither !== 'boolean') {
+    throw new Error('background must be a string and dither a boolean');
+  }
+
+  let data: Buffer;
+  if (args.data !== undefined) {
+    if (typeof args.data !== 'string') {
+      throw new Error('data must be a base64 string');
+    }
+    // Allow data:image/png;base64,... URLs
+    data = Buffer.from(args.data.replace(/^data:[^,]*;base64,/, ''), 'base64');
+  } else {
+    if (typeof args.path !== 'string' || !path.isAbsolute(args.path)) {
+      throw new Error('path must be an absolute file path');
+    }
+    const { size } = await fs.promises.stat(args.path);
+    if (size > MAX_IMAGE_BYTES) {
+      throw new Error(`Image is ${size} bytes (max ${MAX_IMAGE_BYTES})`);
+    }
+    data = await fs.promises.readFile(args.path);
+  }
+  if (data.length === 0 || data.length > MAX_IMAGE_BYTES) {
+    throw new Error(data.length ? `Image is ${data.length} bytes (max ${MAX_IMAGE_BYTES})` : 'Image data is empty');
+  }
+
+  const handle = await ensureImageIcon({ type: 'image', data, fit: fit as ImageFit, background, dither });
+  console.log(`[MCP] create_keyboard_image: ${handle} (${args.path || `${data.length} bytes`}, ${fit}${dither ? ', dithered' : ''})`);
+  return handle;
+}
+
+// Validate a layout: actions may be strings or objects (defaulting to the labels), plus
+// optional gesture actions
+function parseLayout(spec: LayoutSpec): ButtonLayout {
+  const { buttons } = spec;
+  if (!Array.isArray(buttons) || !buttons.every(button => typeof button === 'string')) {
+    throw new Error('buttons must be an array of strings');
+  }
+  checkOptionCount(buttons.length);
+
+  const layout: ButtonLayout = {
+    buttons,
+    actions: buttons.map((text, index) => {
+      try {
+        return normalizeAction(spec.actions?.[index] ?? text, shellCommands);
+      } catch (err: any) {
+        throw new Error(`Button ${index + 1} action: ${err.message}`);
+      }
+    }),
+    images: buttons.map((_, index) => spec.images?.[index] || '')
+  };
+
+  const longPress = parseGestureActions(spec.long_press_actions, buttons.length, 'long press', shellCommands);
+  const doubleTap = parseGestureActions(spec.double_tap_actions, buttons.length, 'double tap', shellCommands);
+  const chords = parseChords(spec.chords, shellCommands);
+  if (longPress) layout.longPress = longPress;
+  if (doubleTap) layout.doubleTap = doubleTap;
+  if (chords) layout.chords = chords;
+  return layout;
+}
+
+// Layout from saved state. If its actions no longer validate (e.g. a shell command
+// was removed from config) only the labels are kept.
+function restoreLayout(saved: any): ButtonLayout {
+  const spec: LayoutSpec = {
+    buttons: saved.buttons,
+    actions: saved.actions,
+    images: saved.images,
+    long_press_actions: saved.longPress,
+    double_tap_actions: saved.doubleTap,
+    chords: saved.chords
+  };
+  try {
+    return parseLayout(spec);
+  } catch (err: any) {
+    console.error(`[State] Restoring layout without its actions: ${err.message}`);
+    return parseLayout({ buttons: spec.buttons, images: spec.images });
+  }
+}
+
+// Save layouts, pending inputs, active session and history (debounced)
+function persistState() {
+  scheduleSave(config.stateFile, () => ({
+    activeSessionId: registry.activeId,
+    sessions: [...registry.sessions.values()].map(session => ({
+      id: session.id,
+      label: session.label,
+      claudePid: session.claudePid,
+      context: session.context,
+      inputQueue: session.inputQueue
+    })),
+    inputSeq,
+    history
+  }));
+}
+
+function recordHistory(entry: HistoryEntry) {
+  history.push(entry);
+  while (history.length > MAX_HISTORY) {
+    history.shift();
+  }
+  persistState();
+}
+
+function activeSession(): Session {
+  return registry.sessions.get(registry.activeId)!;
+}
+
+// Register a session, or refresh an existing one's PID and label
+function registerSession(id: string, claudePid: number, label?: string): Session {
+  let session = registry.sessions.get(id);
+  if (session) {
+    session.claudePid = claudePid || session.claudePid;
+    if (label) session.label = label;
+    session.lastSeen = Date.now();
+    return session;
+  }
+
+  // Same Claude process under a new ID (e.g. its proxy restarted): keep layout and queue
+  session = findSession(registry, { claudePid });
+  if (session && claudePid) {
+    console.log(`[Session] ${session.label} is now ${id}`);
+    registry.sessions.delete(session.id);
+    if (registry.activeId === session.id) registry.activeId = id;
+    session.id = id;
+    if (label) session.label = label;
+  } else {
+    session = createSession(id, claudePid, label);
+    console.log(`[Session] Registered ${session.label} (${id}, PID ${claudePid})`);
+  }
+
+  registry.sessions.set(id, session);
+  session.lastSeen = Date.now();
+  persistState();
+  return session;
+}
+
+// Remove a session; the keyboard moves to the next one if it was active.
+// The last session is always kept so there is something to show.
+function unregisterSession(id: string) {
+  const session = registry.sessions.get(id);
+  if (!session || registry.sessions.size === 1) return;
+
+  const next = id === registry.activeId ? nextSession(registry) : null;
+  prompts.get(id)?.finish(null);
+  for (const pending of pendingDecisions.values()) {
+    if (pending.session === session) pending.finish('ask', 'The session ended');
+  }
+  allowedRules.delete(id);
+  session.panels.forEach((_, index) => clearPanelTimer(session, index + 1));
+  const run = testRuns.get(id);
+  if (run?.timer) clearTimeout(run.timer);
+  testRuns.delete(id);
+  hookStates.delete(id);
+  registry.sessions.delete(id);
+  console.log(`[Session] Removed ${session.label} (${id})`);
+
+  if (next) {
+    selectSession(next);
+  } else {
+    persistState();
+  }
+}
+
+// Find the session a request is for: by session ID (registering it when a Claude PID
+// is given), else by Claude PID (hooks), else the active session.
+// Returns undefined for an unknown session ID without a PID.
+function resolveSession(ref: { sessionId?: string; claudePid?: number; label?: string }): Session | undefined {
+  if (ref.sessionId) {
+    if (ref.claudePid) return registerSession(ref.sessionId, ref.claudePid, ref.label);
+    return registry.sessions.get(ref.sessionId);
+  }
+  if (ref.claudePid) {
+    return findSession(registry, { claudePid: ref.claudePid }) || activeSession();
+  }
+  return activeSession();
+}
+
+// Make a session drive the keyboard: show its layout and state, then its name
+function selectSession(session: Session) {
+  const changed = session.id !== registry.activeId;
+  registry.activeId = session.id;
+  session.lastSeen = Date.now();
+
+  if (changed) {
+    console.log(`[Session] Active → ${session.label} (${session.id})`);
+    recordHistory({ type: 'session', timestamp: Date.now(), session: session.id, label: session.label });
+    // Limit/error apply to every session; otherwise show this session's lifecycle state
+    if (status.state !== 'limit' && status.state !== 'error') {
+      setKeyboardState(session.state);
+    }
+  }
+
+  sendButtons();
+  showSessionBanner();
+}
+
+// Show the active session's name on the first display, then restore its buttons
+function showSessionBanner() {
+  if (!tkeyboardClient) return;
+
+  const sessions = [...registry.sessions.values()];
+  const session = activeSession();
+  const message = {
+    type: 'display_update',
+    display: 0,
+    title: `Session ${sessions.indexOf(session) + 1}/${sessions.length}`,
+    content: session.label
+  };
+
+  // After sendButtons() has gone out, or update_options would overwrite the banner
+  imageSync = imageSync.then(() => sendToKeyboard(message));
+
+  if (sessionBannerTimer) clearTimeout(sessionBannerTimer);
+  sessionBannerTimer = setTimeout(() => {
+    sessionBannerTimer = null;
+    sendButtons();
+  }, SESSION_BANNER_MS);
+}
+
+// Drop sessions whose Claude process has exited
+function pruneSessions() {
+  for (const session of [...registry.sessions.values()]) {
+    if (!isProcessAlive(session.claudePid)) {
+      console.log(`[Session] Claude PID ${session.claudePid} exited`);
+      unregisterSession(session.id);
+    }
+  }
+}
+
+// Replace a session's context, recording the change
+function setContext(session: Session, context: KeyboardContext) {
+  session.context = context;
+  session.page = 0;
+  recordHistory({
+    type: 'context',
+    timestamp: context.timestamp,
+    session: session.id,
+    context: context.type,
+    detail: context.detail,
+    buttons: context.buttons
+  });
+}
+
+// Send a session's layout if the keyboard is showing it
+function refreshSession(session: Session) {
+  // While an override is active (e.g. STOP), the new layout shows once it clears
+  if (session.id === registry.activeId && !session.override) sendButtons();
+}
+
+// Replace a session's context with an explicit button layout
+async function setButtons(session: Session, spec: LayoutSpec) {
+  const layout = parseLayout(spec);
+  if (spec.icons !== undefined) {
+    const icons = parseIcons(spec.icons, layout.buttons.length);
+    layout.images = await Promise.all(layout.buttons.map((label, index) => {
+      const icon = icons[index];
+      return icon ? ensureButtonIcon(label, index, icon) : layout.images[index];
+    }));
+  }
+
+  setContext(session, {
+    type: 'custom',
+    detail: 'manually set',
+    ...layout,
+    timestamp: Date.now()
+  });
+
+  refreshSession(session);
+}
+
+// Show a status panel on a key instead of its button, optionally for a limited time.
+// The layout's options move to the keys that are left.
+function showPanel(session: Session, key: number, title: string, content: string, durationSeconds?: number): Panel {
+  if (!Number.isInteger(key) || key < 1 || key > KEY_COUNT) {
+    throw new Error(`key must be 1-${KEY_COUNT}`);
+  }
+  if (typeof title !== 'string' || typeof content !== 'string') {
+    throw new Error('title and content must be strings');
+  }
+
+  const panel = formatPanel(title, content);
+  clearPanelTimer(session, key);
+  session.panels[key - 1] = panel;
+  if (durationSeconds) {
+    const seconds = Math.min(Math.max(1, durationSeconds), MAX_PANEL_SECONDS);
+    panelTimers.set(`${session.id}:${key}`, setTimeout(() => clearPanels(session, [key]), seconds * 1000));
+  }
+
+  console.log(`[Panel] ${session.label}: key ${key} "${panel.title}"${durationSeconds ? ` for ${durationSeconds}s` : ''}`);
+  if (session.id === registry.activeId) sendButtons();
+  return panel;
+}
+
+// Put the buttons back on keys showing status panels (all keys if none given)
+function clearPanels(session: Session, keys?: number[]): number[] {
+  const cleared = panelKeys(session).filter(key => !keys || keys.includes(key));
+  for (const key of cleared) {
+    clearPanelTimer(session, key);
+    session.panels[key - 1] = null;
+  }
+
+  if (cleared.length > 0) {
+    console.log(`[Panel] ${session.label}: cleared key ${cleared.join(', ')}`);
+    if (session.id === registry.activeId) sendButtons();
+  }
+  return cleared;
+}
+
+function clearPanelTimer(session: Session, key: number) {
+  const id = `${session.id}:${key}`;
+  clearTimeout(panelTimers.get(id));
+  panelTimers.delete(id);
+}
+
+// Take a test progress event for a session in the testing context: counts, or a TAP or
+// JUnit report. While the run goes on the keys show passed/failed/skipped counts and a
+// progress bar (key 4 still stops Claude); when it is done they offer what to do next.
+function reportTestProgress(
+  session: Session,
+  input: { report?: string; format?: string } & Record<string, unknown>
+): TestProgress {
+  if (session.context.type !== 'testing') {
+    throw new Error(`Test progress is only shown in the testing context (current: ${session.context.type})`);
+  }
+
+  let run = testRuns.get(session.id);
+  let progress: TestProgress;
+  if (typeof input.report === 'string') {
+    const format = (input.format || detectFormat(input.report)) as ReportFormat;
+    if (format !== 'tap' && format !== 'junit') {
+      throw new Error(`Unknown format: ${format}. Expected tap or junit`);
+    }
+    if (format === 'tap') {
+      // TAP arrives in pieces: parse everything this run has received, restarting on a new header
+      const previous = run && !/^TAP version/m.test(input.report) ? run.tap : '';
+      const tap = previous && !previous.endsWith('\n') ? `${previous}\n${input.report}` : previous + input.report;
+      progress = parseTap(tap);
+      if (!run) run = createTestRun(session);
+      run.tap = tap;
+    } else {
+      progress = parseJUnit(input.report);
+    }
+  } else {
+    progress = parseCounts(input);
+  }
+
+  console.log(`[Tests] ${session.label}: ${progress.passed} passed, ${progress.failed} failed, ${progress.skipped} skipped` +
+    `${progress.total !== undefined ? ` of ${progress.total}` : ''}${progress.done ? ' (done)' : ''}`);
+
+  if (progress.done) {
+    finishTestRun(session, progress).catch(err => console.error('[Tests] Showing results failed:', err.message));
+  } else {
+    run = run || createTestRun(session);
+    run.progress = progress;
+    scheduleDashboard(session, run);
+  }
+  return progress;
+}
+
+function createTestRun(session: Session): TestRun {
+  const run: TestRun = {
+    progress: { passed: 0, failed: 0, skipped: 0, done: false, failures: [] },
+    tap: '',
+    layout: null,
+    previous: null,
+    renderedAt: 0,
+    timer: null
+  };
+  testRuns.set(session.id, run);
+  return run;
+}
+
+// Render the dashboard now, or once DASHBOARD_INTERVAL_MS has passed since the last render
+function scheduleDashboard(session: Session, run: TestRun) {
+  if (run.timer) return;  // The pending render picks up the latest counts
+  const delay = Math.max(0, run.renderedAt + DASHBOARD_INTERVAL_MS - Date.now());
+  run.timer = setTimeout(() => {
+    run.timer = null;
+    if (testRuns.get(session.id) === run) showDashboard(session, run);
+  }, delay);
+}
+
+async function showDashboard(session: Session, run: TestRun) {
+  const { passed, failed, skipped, total } = run.progress;
+  const count = passed + failed + skipped;
+  run.renderedAt = Date.now();
+
+  let images: string[];
+  try {
+    images = await Promise.all([
+      ensureCounterIcon(passed, 'Passed', '#00FF00'),
+      ensureCounterIcon(failed, 'Failed', '#FF0000'),
+      ensureCounterIcon(skipped, 'Skipped', '#FFFF00'),
+      ensureProgressIcon(count, total || 0, failed > 0 ? '#FF0000' : '#00FF00')
+    ]);
+  } catch (err: any) {
+    console.error('[Tests] Dashboard icons failed, showing text:', err.message);
+    images = ['', '', '', ''];
+  }
+
+  const layout = parseLayout({
+    buttons: [`Pass ${passed}`, `Fail ${failed}`, `Skip ${skipped}`, `Stop ${total ? `${count}/${total}` : count}`],
+    actions: ['', '', '', 'STOP'],
+    images
+  });
+
+  // The run may have finished while icons rendered
+  if (testRuns.get(session.id) !== run) return;
+  const current = pendingOverride(session);
+  if (current !== run.layout) run.previous = current;
+  run.layout = layout;
+  setOverride(session, layout);
+}
+
+// Replace the dashboard with the finished run's buttons
+async function finishTestRun(session: Session, progress: TestProgress) {
+  const run = testRuns.get(session.id);
+  if (run) {
+    if (run.timer) clearTimeout(run.timer);
+    testRuns.delete(session.id);
+  }
+
+  const [first] = progress.failures;
+  const names = progress.failures.slice(0, 5).map(failure => failure.name);
+  const buttons = ['Rerun failed', 'Show failure', 'Ignore', 'Stop'];
+  const actions = [
+    names.length > 0 ? `Rerun the failed tests: ${names.join(', ')}` : 'Rerun the failed tests',
+    first ? `Show me why "${first.name}" failed${first.message ? `: ${first.message.slice(0, 200)}` : ''}` : 'Show me the test failures',
+    'Ignore the test failures and continue',
+    'STOP'
+  ];
+
+  let images: string[];
+  try {
+    images = await buttonTiles(buttons.slice(0, 3), ['🔁', '🔍', '🙈']);
+  } catch (err: any) {
+    console.error('[Tests] Result icons failed, showing text:', err.message);
+    images = ['', '', ''];
+  }
+
+  setContext(session, {
+    type: 'testing',
+    detail: `${progress.passed} passed, ${progress.failed} failed, ${progress.skipped} skipped`,
+    ...parseLayout({ buttons, actions, images: [...images, 'stop.rgb'] }),
+    timestamp: Date.now()
+  });
+
+  if (run?.layout && pendingOverride(session) === run.layout) {
+    setOverride(session, run.previous);
+  } else {
+    refreshSession(session);
+  }
+}
+
+// Apply a Claude Code hook payload: its lifecycle event right away, then the context
+// inferred from it (queued, since the advisor may be slow)
+function ingestHookEvent(session: Session, payload: HookPayload): HookInference {
+  const inference = inferHookEvent(payload);
+  console.log(`[Hooks] ${session.label}: ${payload.hook_event_name}${payload.tool_name ? ` (${payload.tool_name})` : ''}` +
+    `${inference.context ? ` → ${inference.context.type} (${inference.context.detail})` : ''}`);
+
+  if (inference.event) applyStateEvent(session, inference.event);
+
+  let hooks = hookStates.get(session.id);
+  if (!hooks) {
+    hooks = { queue: Promise.resolve(), permission: null };
+    hookStates.set(session.id, hooks);
+  }
+  const state = hooks;
+  state.queue = state.queue
+    .then(() => applyHookContext(session, state, payload.hook_event_name || '', inference))
+    .catch((err: any) => console.error(`[Hooks] ${session.label}: context update failed:`, err.message));
+  return inference;
+}
+
+async function applyHookContext(session: Session, hooks: HookState, hookEvent: string, inference: HookInference) {
+  // Claude carried on, so a permission question was answered: back to what it replaced
+  if (hooks.permission && !inference.permission && hookEvent !== 'Notification') {
+    if (session.context.type === 'question_yesno') {
+      setContext(session, { ...hooks.permission, timestamp: Date.now() });
+      refreshSession(session);
+      hooks.contextAt = session.context.timestamp;
+    }
+    hooks.permission = null;
+  }
+
+  // A context set while a tool ran, by Claude or a test report, beats the one guessed from its output
+  const isResult = hookEvent === 'PostToolUse' || hookEvent === 'PostToolUseFailure';
+  const changedElsewhere = hooks.contextAt !== undefined && session.context.timestamp !== hooks.contextAt;
+  const { context } = inference;
+
+  if (context && !(isResult && changedElsewhere) &&
+      (context.type !== session.context.type || context.detail !== session.context.detail)) {
+    if (inference.permission && session.context.type !== 'question_yesno') hooks.permission = session.context;
+    await adviseContext(session, context.type, context.detail);
+    hooks.contextAt = session.context.timestamp;
+  } else if (hookEvent === 'PreToolUse') {
+    hooks.contextAt = session.context.timestamp;
+  }
+}
+
+// Send the current status state to T-Keyboard
+function sendStatus() {
+  const message: any = { type: 'status', state: status.state };
+  if (status.state === 'limit') {
+    message.countdown = status.countdown;
+  }
+  sendToKeyboard(message);
+
+  // A state change redraws the buttons over any panels
+  if (status.state !== 'limit' && status.state !== 'error') sendPanels(activeSession());
+}
+
+// Transition the status state machine and tell the keyboard
+function setKeyboardState(state: KeyboardState, options: { countdown?: number; message?: string } = {}) {
+  // Rate limits are sticky: lifecycle events only change where we return to
+  if (status.state === 'limit' && (state === 'idle' || state === 'thinking')) {
+    status.returnState = state;
+    console.log(`[Status] Rate limited, will return to ${state}`);
+    return;
+  }
+
+  stopCountdown();
+
+  if ((state === 'limit' || state === 'error') && status.state !== 'limit' && status.state !== 'error') {
+    status.returnState = status.state;
+  }
+
+  status.state = state;
+  status.message = options.message || '';
+  status.countdown = state === 'limit' ? Math.max(0, Math.floor(options.countdown || 0)) : 0;
+
+  console.log(`[Status] → ${state}${status.countdown ? ` (${status.countdown}s)` : ''}${status.message ? `: ${status.message}` : ''}`);
+  sendStatus();
+
+  if (state === 'limit' && status.countdown > 0) {
+    status.timer = setInterval(tickCountdown, 1000);
+  }
+}
+
+// Count the rate limit down once per second, clearing it on expiry
+function tickCountdown() {
+  status.countdown--;
+  if (status.countdown <= 0) {
+    console.log('[Status] Rate limit countdown expired');
+    clearKeyboardStatus();
+    return;
+  }
+
+  // Skip ticks while disconnected - the reconnect sends the current countdown
+  if (tkeyboardClient) sendStatus();
+}
+
+function stopCountdown() {
+  if (status.timer) {
+    clearInterval(status.timer);
+    status.timer = null;
+  }
+}
+
+// Leave limit/error mode, returning to the previous state and buttons
+function clearKeyboardStatus() {
+  if (status.state !== 'limit' && status.state !== 'error') return;
+
+  stopCountdown();
+  status.state = status.returnState;
+  status.countdown = 0;
+  status.message = '';
+
+  console.log(`[Status] Cleared → ${status.state}`);
+  sendStatus();
+  sendButtons();
+}
+
+// Enter or clear rate-limit/error mode (set_keyboard_status tool and POST /status)
+function setKeyboardStatus(mode: string, countdown?: number, message?: string) {
+  if (mode === 'rate_limited') {
+    setKeyboardState('limit', { countdown, message });
+  } else if (mode === 'error') {
+    setKeyboardState('error', { message });
+  } else if (mode === 'clear') {
+    clearKeyboardStatus();
+  } else {
+    throw new Error(`Unknown mode: ${mode}. Expected rate_limited, error or clear`);
+  }
+
+  return {
+    success: true,
+    state: status.state,
+    countdown: status.countdown,
+    message: status.message
+  };
+}
+
+// Apply a session's lifecycle event: update firmware status and the session's button override.
+// Thinking/idle only reach the keyboard for the active session; limit/error always do.
+function applyStateEvent(
+  session: Session,
+  event: string,
+  options: { countdown?: number } & Partial<LayoutSpec> = {}
+) {
+  const mapping = STATE_EVENTS[event];
+  if (!mapping) {
+    throw new Error(`Unknown event: ${event}. Expected one of: ${Object.keys(STATE_EVENTS).join(', ')}`);
+  }
+
+  // Validate explicit buttons before changing any state
+  const buttons = options.buttons ? parseLayout(options as LayoutSpec) : null;
+
+  console.log(`[State] ${session.label}: ${event} → ${mapping.state}`);
+
+  const isActive = session.id === registry.activeId;
+  if (mapping.state === 'idle' || mapping.state === 'thinking') {
+    session.state = mapping.state;
+    if (isActive) setKeyboardState(mapping.state);
+  } else {
+    setKeyboardState(mapping.state, { countdown: options.countdown });
+  }
+
+  // Explicit buttons in the event take precedence over the default override
+  let override: ButtonLayout | null;
+  if (buttons) {
+    override = buttons;
+  } else if (mapping.override === 'stop') {
+    override = STOP_LAYOUT;
+  } else if (mapping.override === 'clear') {
+    override = null;
+  } else {
+    return;
+  }
+
+  setOverride(session, override);
+}
+
+// Show a layout over a session's context (null to clear). A prompt stays on top;
+// the override shows once it is answered.
+function setOverride(session: Session, override: ButtonLayout | null) {
+  const prompt = prompts.get(session.id);
+  if (prompt) {
+    prompt.previous = override;
+    return;
+  }
+
+  session.override = override;
+  session.page = 0;
+  if (session.id === registry.activeId) sendButtons();
+}
+
+// The override a session shows once any prompt is answered
+function pendingOverride(session: Session): ButtonLayout | null {
+  const prompt = prompts.get(session.id);
+  return prompt ? prompt.previous : session.override;
+}
+
+// Read and parse a JSON request body
+function readJsonBody(req: http.IncomingMessage): Promise<any> {
+  return readBody(req).then(body => body ? JSON.parse(body) : {});
+}
+
+function readBody(req: http.IncomingMessage): Promise<string> {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
+// Session fields accepted by HTTP endpoints, from a JSON body or query string:
+// session_id, claude_pid (hooks send only this) and label
+function sessionRef(fields: any) {
+  return {
+    sessionId: fields.session_id ? String(fields.session_id) : undefined,
+    claudePid: parseInt(fields.claude_pid) || undefined,
+    label: fields.label ? String(fields.label) : undefined
+  };
+}
+
+function unknownSession(res: http.ServerResponse, sessionId?: string) {
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: `Unknown session: ${sessionId}` }));
+}
+
+// The session an input consumer reads: by session ID (registering it when a Claude PID is
+// given), else the one whose Claude is or runs under claude_pid - not yet registered if
+// Claude hasn't started its proxy - else the active session
+function consumerSession(ref: { sessionId?: string; claudePid?: number; label?: string }): Session | undefined {
+  if (!ref.sessionId && ref.claudePid) return findProcessSession(registry, ref.claudePid);
+  return ref.sessionId ? resolveSession(ref) : activeSession();
+}
+
+// Ask the advisor for a context's buttons, generate their icons and show them. In the
+// git_operations context the advisor also gets the watched repository's state (the
+// session keeps the caller's own detail, for re-advising when the state changes).
+async function adviseContext(session: Session, context: string, detail: string) {
+  const repository = context === 'git_operations' && gitState ? describeGitState(gitState) : '';
+
+  const advisorResult = await adviseButtons(advisor, {
+    context,
+    detail: [detail, repository].filter(Boolean).join('; '),
+    currentState: session.context
+  }, advisorConfig.timeoutMs);
+
+  // Generate icons for the recommended buttons: each emoji over its label
+  let images: string[];
+  try {
+    images = await buttonTiles(advisorResult.buttons, advisorResult.emojis);
+  } catch (error) {
+    console.error('[MCP] Icon generation failed:', error);
+    images = ['', '', '', '']; // Fall back to text-only buttons
+  }
+
+  // Update the session's context
+  setContext(session, {
+    type: context,
+    detail: detail,
+    ...parseLayout({ buttons: advisorResult.buttons, actions: advisorResult.actions, images }),
+    timestamp: Date.now()
+  });
+
+  // Send to keyboard (if this session is active and no override such as STOP is showing)
+  refreshSession(session);
+  return advisorResult;
+}
+
+// New repository state: re-advise sessions showing git buttons, so counts and
+// suggestions follow commits, pushes and merges
+function updateGitState(state: GitState) {
+  gitState = state;
+  for (const session of registry.sessions.values()) {
+    if (session.context.type !== 'git_operations') continue;
+    adviseContext(session, 'git_operations', session.context.detail).catch((err: any) => {
+      console.error(`[Git] Updating ${session.label} failed:`, err.message);
+    });
+  }
+}
+
+// MCP tool handlers - schemas live in tools.ts, shared with the proxy
+const toolHandlers: Record<ToolName, ToolHandler> = {
+  async update_keyboard_context(args, session) {
     const { context, detail = '' } = args as { context: string; detail?: string };
 
     console.log(`[MCP] update_keyboard_context: ${context} (${detail})`);
 
-    // Launch button-advisor AI with explicit JSON-only instruction
-    let advisorResult;
-    try {
-      const inputData = JSON.stringify({
-        context,
-        detail,
-        currentState: currentContext
-      });
+    const advisorResult = await adviseContext(session, context, detail);
+    return textResult(`Keyboard updated to ${context} context.\nButtons: ${advisorResult.buttons.join(', ')}\nReasoning: ${advisorResult.reasoning}`);
+  },
 
-      // Add explicit JSON-only instruction in the input message itself
-      const advisorPrompt = `CRITICAL: Output ONLY raw JSON, no markdown, no conversation, no code blocks.
+  async set_keyboard_buttons(args, session) {
+    const spec = args as LayoutSpec;
 
-Input: ${inputData}
+    // Validates the spec, so buttons is an array of strings from here on
+    await setButtons(session, spec);
+
+    console.log(`[MCP] set_keyboard_buttons: ${spec.buttons.join(', ')}`);
+    return textResult(`Keyboard buttons set to: ${spec.buttons.join(', ')}`);
+  },
+
+  async create_keyboard_image(args) {
+    const handle = await createImage(args as any);
+    return textResult(`Image ${handle} created. Use it as a button image: set_keyboard_buttons images ["${handle}", ...]`);
+  },
+
+  async present_choices(args, session) {
+    const result = await presentChoices(session, args as any);
+    if (!result) {
+      return errorResult('No choice was made on the keyboard before the timeout');
+    }
+    return textResult(`${result.number}. ${result.choice}`);
+  },
 
-Required output format - ONLY this structure, nothing else:
-{"buttons":["...","...","...","..."],"emojis":["...","...","...","..."],"reasoning":"..."}`;
+  async ask_user_via_keyboard(args, session) {
+    const result = await askUser(session, args as any);
+    if (!result) {
+      return errorResult('No key was pressed on the keyboard before the timeout');
+    }
+    return textResult(typeof result.action === 'string' ? result.action : JSON.stringify(result.action));
+  },
 
-      console.log('[MCP] Launching button-advisor AI...');
+  async show_keyboard_panel(args, session) {
+    const { key, title, content, duration_seconds } = args as { key: number; title: string; content: string; duration_seconds?: number };
+    const panel = showPanel(session, key, title, content, duration_seconds);
+    return textResult(`Key ${key} showing panel "${panel.title}":\n${panel.content}`);
+  },
 
-      // Execute button-advisor agent with explicit JSON instruction
-      const result = execSync(
-        `/Users/bruce/.claude/local/claude --print code agent run button-advisor <<< '${advisorPrompt.replace(/'/g, "'\\''")}'`,
-        {
-          encoding: 'utf-8',
-          maxBuffer: 1024 * 1024,
-          shell: '/bin/bash',
-          stdio: ['pipe', 'pipe', 'pipe']
-        }
-      );
+  async clear_keyboard_panels(args, session) {
+    const { keys } = args as { keys?: number[] };
+    const cleared = clearPanels(session, keys);
+    return textResult(cleared.length > 0 ? `Cleared panels on key ${cleared.join(', ')}` : 'No panels to clear');
+  },
 
-      // Extract JSON from output (may be wrapped in markdown code blocks)
-      let jsonText = result.trim();
+  async report_test_progress(args, session) {
+    const progress = reportTestProgress(session, args as any);
+    return textResult(`Tests: ${progress.passed} passed, ${progress.failed} failed, ${progress.skipped} skipped` +
+      `${progress.total !== undefined ? ` of ${progress.total}` : ''}${progress.done ? ' - run finished' : ''}`);
+  },
 
-      // Remove "Tip:" line if present
-      jsonText = jsonText.replace(/^Tip:.*\n/, '');
+  async set_keyboard_status(args) {
+    const { mode, countdown, message } = args as { mode: string; countdown?: number; message?: string };
 
-      // Extract from markdown code blocks if present
-      const codeBlockMatch = jsonText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (codeBlockMatch) {
-        jsonText = codeBlockMatch[1];
-      } else {
-        // Try to find JSON object directly
-        const jsonMatch = jsonText.match(/\{[\s\S]*"buttons"[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-      }
+    console.log(`[MCP] set_keyboard_status: ${mode}${countdown ? ` (${countdown}s)` : ''}`);
 
-      advisorResult = JSON.parse(jsonText);
-      console.log('[MCP] AI button advisor response:', advisorResult);
-
-      // Validate and fix bad emojis (AI often returns simple unicode despite instructions)
-      const badEmojiMap: Record<string, string> = {
-        '✓': '✅', '✗': '❌', '?': '❓',
-        '→': '▶️', '←': '◀️', '↑': '⏫', '↓': '⏬',
-        '•': '🔘', '○': '⚪', '◦': '⚪'
-      };
-
-      let fixed = false;
-      advisorResult.emojis = advisorResult.emojis.map((emoji: string) => {
-        if (badEmojiMap[emoji]) {
-          console.log(`[MCP] Fixed bad emoji: ${emoji} → ${badEmojiMap[emoji]}`);
-          fixed = true;
-          return badEmojiMap[emoji];
-        }
-        return emoji;
-      });
+    const result = setKeyboardStatus(mode, countdown, message);
+    return textResult(result.state === 'limit'
+      ? `Keyboard showing RATE LIMIT${result.countdown ? ` (${result.countdown}s remaining)` : ''}`
+      : `Keyboard status: ${result.state}`);
+  },
 
-      if (fixed) {
-        console.log('[MCP] Emojis after fix:', advisorResult.emojis);
-      }
+  async select_keyboard_session(args, session) {
+    const { session: ref } = args as { session?: string };
 
-    } catch (error) {
-      console.error('[MCP] Button advisor failed:', error);
-      // Fallback to default buttons
-      advisorResult = {
-        buttons: ['Yes', 'No', 'Proceed', 'Help'],
-        emojis: ['✅', '❌', '▶️', '❓'],
-        reasoning: 'Fallback due to advisor error'
-      };
+    const target = ref ? findSession(registry, { sessionId: ref, label: ref }) : session;
+    if (!target) {
+      throw new Error(`Unknown session: ${ref}. Registered: ${[...registry.sessions.values()].map(s => s.label).join(', ')}`);
     }
 
-    // Generate icons for the recommended buttons
-    const iconSpecs = advisorResult.buttons.map((btn: string, i: number) => ({
-      emoji: advisorResult.emojis[i],
-      name: btn.toLowerCase().replace(/\s+/g, '-')
-    }));
+    console.log(`[MCP] select_keyboard_session: ${target.label}`);
 
-    let images: string[];
-    try {
-      images = await ensureIcons(iconSpecs);
-    } catch (error) {
-      console.error('[MCP] Icon generation failed:', error);
-      images = ['', '', '', '']; // Fall back to text-only buttons
-    }
-
-    // Update current context
-    currentContext = {
-      type: context,
-      detail: detail,
-      buttons: advisorResult.buttons,
-      images: images,
-      timestamp: Date.now()
-    };
+    selectSession(target);
+    return textResult(`Keyboard now driving session ${target.label} (${target.id})`);
+  },
 
-    // Send to keyboard
-    sendToKeyboard({
-      type: 'update_options',
-      session_id: Date.now().toString(),
-      options: currentContext.buttons.map((text, index) => ({
-        text: text || '',
-        action: text || '',
-        image: currentContext.images[index] || '',
-        color: index === 0 ? '#00FFFF' : index === 1 ? '#FFFF00' : index === 2 ? '#FFFFFF' : '#00FF00'
-      }))
+  async get_keyboard_status(args, session) {
+    return jsonResult({
+      connected: tkeyboardClient !== null,
+      sessionId: session.id,
+      claudePid: session.claudePid,
+      active: session.id === registry.activeId,
+      activeSessionId: registry.activeId,
+      state: status.state,
+      countdown: status.countdown,
+      currentContext: session.context,
+      page: currentPage(session) + 1,
+      pages: sessionPages(session),
+      panels: session.panels,
+      queueLength: session.inputQueue.length,
+      sessions: [...registry.sessions.values()].map(s => describeSession(registry, s))
     });
-
-    return {
-      success: true,
-      context,
-      buttons: advisorResult.buttons,
-      reasoning: advisorResult.reasoning
-    };
   }
+};
 
-  if (name === 'set_keyboard_buttons') {
-    const { buttons, actions, images } = args as {
-      buttons: string[];
-      actions?: string[];
-      images?: string[];
-    };
-
-    console.log(`[MCP] set_keyboard_buttons: ${buttons.join(', ')}`);
+// Run an MCP tool for a session (shared between stdio and HTTP proxy). Handler errors become isError results.
+async function callTool(name: string, args: any, session: Session): Promise<ToolResult> {
+  if (!isToolName(name)) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
 
-    const finalActions = actions || buttons;
-    const finalImages = images || ['', '', '', ''];
+  try {
+    return await toolHandlers[name](args || {}, session);
+  } catch (err: any) {
+    console.error(`[MCP] ${name} failed:`, err.message);
+    return errorResult(err.message);
+  }
+}
 
-    // Update current context
-    currentContext = {
-      type: 'custom',
-      detail: 'manually set',
-      buttons: buttons,
-      images: finalImages,
-      timestamp: Date.now()
+// Read an MCP resource for a session (shared between stdio and HTTP proxy)
+function readResource(uri: string, session: Session) {
+  if (uri === 'tkeyboard://status') {
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({
+            connected: tkeyboardClient !== null,
+            sessionId: session.id,
+            active: session.id === registry.activeId,
+            currentButtons: session.context.buttons,
+            currentContext: session.context.type,
+            state: status.state
+          }, null, 2)
+        }
+      ]
     };
+  }
 
-    // Send to keyboard
-    sendToKeyboard({
-      type: 'update_options',
-      session_id: Date.now().toString(),
-      options: buttons.map((text, index) => ({
-        text: text || '',
-        action: finalActions[index] || text || '',
-        image: finalImages[index] || '',
-        color: index === 0 ? '#00FFFF' : index === 1 ? '#FFFF00' : index === 2 ? '#FFFFFF' : '#00FF00'
-      }))
-    });
-
+  if (uri === 'tkeyboard://context') {
     return {
-      success: true,
-      buttons: buttons
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(session.context, null, 2)
+        }
+      ]
     };
   }
 
-  if (name === 'get_keyboard_status') {
+  if (uri === 'tkeyboard://callbacks') {
     return {
-      connected: tkeyboardClient !== null,
-      sessionId: config.sessionId,
-      claudePid: config.claudePid,
-      currentContext: currentContext,
-      queueLength: inputQueue.length
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify({ sessionId: session.id, callbacks: session.callbacks }, null, 2)
+        }
+      ]
     };
   }
 
-  throw new Error(`Unknown tool: ${name}`);
+  throw new Error(`Unknown resource: ${uri}`);
 }
 
 // HTTP API for input daemon compatibility
@@ -380,14 +1932,26 @@ const httpServer = http.createServer((req, res) => {
     return;
   }
 
-  // GET /inputs - Retrieve and clear input queue (polled by daemon)
+  // GET /inputs?session_id=ID&claude_pid=PID - Retrieve and clear a session's input queue
+  // (polled by its daemon, which registers the session). Without session_id: the active session.
+  // Kept for older daemons - /inputs/stream doesn't lose presses between consumers.
   if (url.pathname === '/inputs' && req.method === 'GET') {
-    const inputs = [...inputQueue];
-    inputQueue.length = 0;  // Clear queue
+    const ref = sessionRef(Object.fromEntries(url.searchParams));
+    const session = consumerSession(ref);
+    if (!session) {
+      unknownSession(res, ref.sessionId || `of PID ${ref.claudePid}`);
+      return;
+    }
+
+    session.lastSeen = Date.now();
+    const inputs = [...session.inputQueue];
+    session.inputQueue.length = 0;  // Clear queue
+    if (inputs.length > 0) persistState();
 
     const response = {
-      sessionId: config.sessionId,
-      claudePid: config.claudePid,
+      sessionId: session.id,
+      claudePid: session.claudePid,
+      active: session.id === registry.activeId,
       inputs
     };
 
@@ -395,31 +1959,148 @@ const httpServer = http.createServer((req, res) => {
     res.end(JSON.stringify(response));
 
     if (config.debug && inputs.length > 0) {
-      console.log(`[HTTP] Daemon retrieved ${inputs.length} inputs`);
+      console.log(`[HTTP] Daemon for ${session.label} retrieved ${inputs.length} inputs`);
+    }
+  }
+
+  // GET /inputs/stream?session_id=ID&claude_pid=PID&since=SEQ - Server-Sent Events stream of a
+  // session's key presses. Replays unacknowledged presses after since (or Last-Event-ID).
+  // claude_pid alone streams the session that Claude process registered (404 until it has).
+  else if (url.pathname === '/inputs/stream' && req.method === 'GET') {
+    const ref = sessionRef(Object.fromEntries(url.searchParams));
+    const session = consumerSession(ref);
+    if (!session) {
+      unknownSession(res, ref.sessionId || `of PID ${ref.claudePid}`);
+      return;
     }
+
+    session.lastSeen = Date.now();
+    const since = parseInt(url.searchParams.get('since') || String(req.headers['last-event-id'] || 0)) || 0;
+    subscribeInputs(req, res, session, since);
+  }
+
+  // POST /inputs/ack - Acknowledge a session's key presses up to and including seq {session_id, seq}
+  else if (url.pathname === '/inputs/ack' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const session = data.session_id ? registry.sessions.get(String(data.session_id)) : activeSession();
+      if (!session) {
+        throw new Error(`Unknown session: ${data.session_id}`);
+      }
+      const seq = Number(data.seq);
+      if (!Number.isFinite(seq)) {
+        throw new Error('seq must be a number');
+      }
+
+      const before = session.inputQueue.length;
+      const remaining = session.inputQueue.filter(input => input.seq > seq);
+      session.inputQueue.splice(0, session.inputQueue.length, ...remaining);
+      if (remaining.length !== before) persistState();
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, acked: before - remaining.length, pending: remaining.length }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
   }
 
-  // GET /status - Server status
+  // GET /status - Server status (session fields describe the active session)
   else if (url.pathname === '/status' && req.method === 'GET') {
+    const session = activeSession();
     res.writeHead(200, { 'Content-Type': 'application/json' });
     res.end(JSON.stringify({
-      sessionId: config.sessionId,
-      claudePid: config.claudePid,
+      sessionId: session.id,
+      claudePid: session.claudePid,
+      sessionLabel: session.label,
       connected: tkeyboardClient !== null,
-      queueLength: inputQueue.length,
-      currentContext: currentContext.type,
+      queueLength: session.inputQueue.length,
+      currentContext: session.context.type,
+      state: status.state,
+      countdown: status.countdown,
+      override: session.override !== null,
+      sessions: registry.sessions.size,
+      lastGesture,
+      git: gitState,
       uptime: process.uptime()
     }));
   }
 
-  // POST /mcp/tool - Handle MCP tool calls from proxy
+  // GET /sessions - Registered sessions
+  else if (url.pathname === '/sessions' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      activeSessionId: registry.activeId,
+      sessions: [...registry.sessions.values()].map(session => describeSession(registry, session))
+    }));
+  }
+
+  // POST /sessions/register - Register a session {session_id, claude_pid, label?}
+  else if (url.pathname === '/sessions/register' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const ref = sessionRef(data);
+      if (!ref.sessionId || !ref.claudePid) {
+        throw new Error('session_id and claude_pid are required');
+      }
+      const session = registerSession(ref.sessionId, ref.claudePid, ref.label);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, session: describeSession(registry, session) }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /sessions/unregister - Remove a session {session_id}
+  else if (url.pathname === '/sessions/unregister' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      unregisterSession(String(data.session_id || ''));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, activeSessionId: registry.activeId }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /sessions/select - Choose the session the keyboard drives {session: id or label} or {next: true}
+  else if (url.pathname === '/sessions/select' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const target = data.next
+        ? nextSession(registry)
+        : findSession(registry, { sessionId: data.session, label: data.session });
+      if (!target) {
+        throw new Error(`Unknown session: ${data.session}`);
+      }
+      selectSession(target);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, session: describeSession(registry, target) }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // GET /history - Recent context changes and key presses (?limit=N)
+  else if (url.pathname === '/history' && req.method === 'GET') {
+    const limit = parseInt(url.searchParams.get('limit') || String(MAX_HISTORY));
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ history: history.slice(-limit) }));
+  }
+
+  // POST /mcp/tool - Handle MCP tool calls from proxy {name, arguments, session_id, claude_pid, label}
   else if (url.pathname === '/mcp/tool' && req.method === 'POST') {
     let body = '';
     req.on('data', chunk => body += chunk);
     req.on('end', async () => {
       try {
-        const { name, arguments: args } = JSON.parse(body);
-        const result = await handleMcpToolCall(name, args);
+        const data = JSON.parse(body);
+        const ref = sessionRef(data);
+        const session = resolveSession(ref);
+        if (!session) {
+          unknownSession(res, ref.sessionId);
+          return;
+        }
+        const result = await callTool(data.name, data.arguments, session);
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (err: any) {
@@ -429,6 +2110,221 @@ const httpServer = http.createServer((req, res) => {
     });
   }
 
+  // POST /status - Enter or clear rate-limit/error mode
+  else if (url.pathname === '/status' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const result = setKeyboardStatus(data.mode, data.countdown, data.message);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /state/update - Lifecycle event from Claude Code hooks (session by claude_pid or session_id)
+  else if (url.pathname === '/state/update' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const ref = sessionRef(data);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      applyStateEvent(session, data.event, data);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, state: status.state, session: session.id, override: session.override !== null }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /hooks?claude_pid=PID - A Claude Code hook's JSON payload, as forwarded by
+  // installation/tkeyboard-hook.sh. The session comes from the query string: the
+  // payload's session_id is Claude's own.
+  else if (url.pathname === '/hooks' && req.method === 'POST') {
+    readJsonBody(req).then(payload => {
+      const ref = sessionRef(Object.fromEntries(url.searchParams));
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const inference = ingestHookEvent(session, payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, session: session.id, ...inference }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /update - Set buttons directly (same as set_keyboard_buttons)
+  else if (url.pathname === '/update' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      if (!Array.isArray(data.buttons)) {
+        throw new Error('buttons must be an array');
+      }
+      const ref = sessionRef(data);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      return setButtons(session, data).then(() => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true, buttons: data.buttons }));
+      });
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /panel - Show a text panel on a key (same as show_keyboard_panel)
+  else if (url.pathname === '/panel' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const ref = sessionRef(data);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const panel = showPanel(session, Number(data.key), data.title, data.content, data.duration_seconds);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, key: Number(data.key), panel }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /panel/clear - Put the buttons back on keys showing panels (all unless "keys" is given)
+  else if (url.pathname === '/panel/clear' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const ref = sessionRef(data);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const cleared = clearPanels(session, Array.isArray(data.keys) ? data.keys.map(Number) : undefined);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, cleared }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /tests/progress - Test run progress (same as report_test_progress). A JSON body
+  // holds counts or a report; any other body is a TAP or JUnit report itself, with the
+  // session and format in the query string.
+  else if (url.pathname === '/tests/progress' && req.method === 'POST') {
+    const isJson = (req.headers['content-type'] || '').includes('application/json');
+    readBody(req).then(body => {
+      const query = Object.fromEntries(url.searchParams);
+      const data = isJson ? (body ? JSON.parse(body) : {}) : { ...query, report: body };
+      const ref = sessionRef(isJson ? data : query);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const progress = reportTestProgress(session, data);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, ...progress }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /permissions?claude_pid=PID&timeout_seconds=N - A PermissionRequest hook's payload,
+  // as forwarded by installation/tkeyboard-permission.sh. Answers with the hook output that
+  // carries the decision once a key is pressed, or 204 (no decision) for "ask".
+  else if (url.pathname === '/permissions' && req.method === 'POST') {
+    readJsonBody(req).then(async payload => {
+      const ref = sessionRef(Object.fromEntries(url.searchParams));
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const { id, result } = requestPermission(session, payload, Number(url.searchParams.get('timeout_seconds')) || undefined);
+      // The hook gave up (e.g. Claude Code's hook timeout): stop showing the request
+      res.on('close', () => {
+        if (id && !res.writableFinished) pendingDecisions.get(id)?.finish('ask', 'The hook stopped waiting');
+      });
+      const { decision, reason } = await result;
+      const output = hookDecision(payload, decision, reason);
+      if (!output) {
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(output));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // GET /permissions - Tool permission requests waiting for a decision
+  else if (url.pathname === '/permissions' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ pending: [...pendingDecisions.values()].map(describeDecision) }));
+  }
+
+  // POST /permissions/decide - Decide a waiting request without the keyboard {id, decision}
+  else if (url.pathname === '/permissions/decide' && req.method === 'POST') {
+    readJsonBody(req).then(data => {
+      const pending = pendingDecisions.get(String(data.id));
+      if (!pending) {
+        throw new Error(`Unknown permission request: ${data.id}`);
+      }
+      if (!['allow', 'deny', 'ask'].includes(data.decision)) {
+        throw new Error(`Unknown decision: ${data.decision}. Expected allow, deny or ask`);
+      }
+      pending.finish(data.decision, `${data.decision === 'allow' ? 'Allowed' : data.decision === 'deny' ? 'Denied' : 'Left to the terminal'} over HTTP`);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, id: pending.id, decision: data.decision }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // POST /choices - Show a question with choices and wait for the pick (same as present_choices)
+  else if (url.pathname === '/choices' && req.method === 'POST') {
+    readJsonBody(req).then(async data => {
+      const ref = sessionRef(data);
+      const session = resolveSession(ref);
+      if (!session) {
+        throw new Error(`Unknown session: ${ref.sessionId}`);
+      }
+      const result = await presentChoices(session, data);
+      res.writeHead(result ? 200 : 408, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result || { error: 'No choice made before the timeout' }));
+    }).catch((err: any) => {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    });
+  }
+
+  // GET /mcp/resource?uri=...&session_id=... - Read MCP resources for proxy
+  else if (url.pathname === '/mcp/resource' && req.method === 'GET') {
+    try {
+      const ref = sessionRef(Object.fromEntries(url.searchParams));
+      const session = resolveSession(ref);
+      if (!session) {
+        unknownSession(res, ref.sessionId);
+        return;
+      }
+      const result = readResource(url.searchParams.get('uri') || '', session);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+    } catch (err: any) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  }
+
   // POST /test/button - Simulate button press (for testing)
   else if (url.pathname === '/test/button' && req.method === 'POST') {
     let body = '';
@@ -436,13 +2332,17 @@ const httpServer = http.createServer((req, res) => {
     req.on('end', () => {
       try {
         const data = JSON.parse(body);
+        const session = activeSession();
+        const key = data.key || 1;
+        // Without text, press the key as shown on the active session's page
         handleKeyboardMessage({
           type: 'key_press',
-          key: data.key || 1,
-          text: data.text || 'Test'
+          session_id: session.id,
+          key,
+          text: data.text ?? pageOptions(session)[key - 1]?.action
         });
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true, queued: inputQueue.length }));
+        res.end(JSON.stringify({ success: true, queued: activeSession().inputQueue.length }));
       } catch (err: any) {
         res.writeHead(400, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: err.message }));
@@ -515,6 +2415,10 @@ Ready for connections...
   console.log('[mDNS] Service published: tkeyboard-mcp.local');
 });
 
+setInterval(pruneSessions, SESSION_PRUNE_INTERVAL_MS);
+
+const stopGitWatcher = gitConfig.dir ? watchGit({ ...gitConfig, dir: gitConfig.dir }, updateGitState) : null;
+
 // MCP Server
 const server = new Server(
   {
@@ -529,329 +2433,23 @@ const server = new Server(
   }
 );
 
-// Tool: update_keyboard_context
+// Tools and resources (see tools.ts)
 server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: 'update_keyboard_context',
-        description: 'Update T-Keyboard buttons based on current work context. Uses AI to determine optimal buttons.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            context: {
-              type: 'string',
-              enum: [
-                'git_operations',
-                'debugging',
-                'testing',
-                'question_yesno',
-                'question_choice',
-                'file_operations',
-                'default'
-              ],
-              description: 'High-level category of current work'
-            },
-            detail: {
-              type: 'string',
-              description: 'Specific information about the situation (e.g., "3 files modified", "401 auth error")'
-            }
-          },
-          required: ['context']
-        }
-      },
-      {
-        name: 'set_keyboard_buttons',
-        description: 'Directly set keyboard buttons (bypass AI advisor). Use for explicit control.',
-        inputSchema: {
-          type: 'object',
-          properties: {
-            buttons: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Button labels (4 buttons)'
-            },
-            actions: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Action text (what gets injected). Defaults to buttons if omitted.'
-            },
-            images: {
-              type: 'array',
-              items: { type: 'string' },
-              minItems: 4,
-              maxItems: 4,
-              description: 'Image filenames (e.g., "yes.rgb"). Empty string for no image.'
-            }
-          },
-          required: ['buttons']
-        }
-      },
-      {
-        name: 'get_keyboard_status',
-        description: 'Get current keyboard connection status and button configuration',
-        inputSchema: {
-          type: 'object',
-          properties: {}
-        }
-      }
-    ]
-  };
+  return { tools: TOOLS };
 });
 
+// The stdio client is the default session
 server.setRequestHandler(CallToolRequestSchema, async (request) => {
   const { name, arguments: args } = request.params;
-
-  if (name === 'update_keyboard_context') {
-    const { context, detail = '' } = args as { context: string; detail?: string };
-
-    console.log(`[MCP] update_keyboard_context: ${context} (${detail})`);
-
-    // Launch button-advisor AI with explicit JSON-only instruction
-    let advisorResult;
-    try {
-      const inputData = JSON.stringify({
-        context,
-        detail,
-        currentState: currentContext
-      });
-
-      // Add explicit JSON-only instruction in the input message itself
-      const advisorPrompt = `CRITICAL: Output ONLY raw JSON, no markdown, no conversation, no code blocks.
-
-Input: ${inputData}
-
-Required output format - ONLY this structure, nothing else:
-{"buttons":["...","...","...","..."],"emojis":["...","...","...","..."],"reasoning":"..."}`;
-
-      console.log('[MCP] Launching button-advisor AI...');
-
-      // Execute button-advisor agent with explicit JSON instruction
-      const result = execSync(
-        `/Users/bruce/.claude/local/claude --print code agent run button-advisor <<< '${advisorPrompt.replace(/'/g, "'\\''")}'`,
-        {
-          encoding: 'utf-8',
-          maxBuffer: 1024 * 1024,
-          shell: '/bin/bash',
-          stdio: ['pipe', 'pipe', 'pipe']
-        }
-      );
-
-      // Extract JSON from output (may be wrapped in markdown code blocks)
-      let jsonText = result.trim();
-
-      // Remove "Tip:" line if present
-      jsonText = jsonText.replace(/^Tip:.*\n/, '');
-
-      // Extract from markdown code blocks if present
-      const codeBlockMatch = jsonText.match(/```(?:json)?\s*(\{[\s\S]*?\})\s*```/);
-      if (codeBlockMatch) {
-        jsonText = codeBlockMatch[1];
-      } else {
-        // Try to find JSON object directly
-        const jsonMatch = jsonText.match(/\{[\s\S]*"buttons"[\s\S]*?\}/);
-        if (jsonMatch) {
-          jsonText = jsonMatch[0];
-        }
-      }
-
-      advisorResult = JSON.parse(jsonText);
-      console.log('[MCP] AI button advisor response:', advisorResult);
-
-      // Validate and fix bad emojis (AI often returns simple unicode despite instructions)
-      const badEmojiMap: Record<string, string> = {
-        '✓': '✅', '✗': '❌', '?': '❓',
-        '→': '▶️', '←': '◀️', '↑': '⏫', '↓': '⏬',
-        '•': '🔘', '○': '⚪', '◦': '⚪'
-      };
-
-      let fixed = false;
-      advisorResult.emojis = advisorResult.emojis.map((emoji: string) => {
-        if (badEmojiMap[emoji]) {
-          console.log(`[MCP] Fixed bad emoji: ${emoji} → ${badEmojiMap[emoji]}`);
-          fixed = true;
-          return badEmojiMap[emoji];
-        }
-        return emoji;
-      });
-
-      if (fixed) {
-        console.log('[MCP] Emojis after fix:', advisorResult.emojis);
-      }
-
-    } catch (error) {
-      console.error('[MCP] Button advisor failed:', error);
-      // Fallback to default buttons
-      advisorResult = {
-        buttons: ['Yes', 'No', 'Proceed', 'Help'],
-        emojis: ['✅', '❌', '▶️', '❓'],
-        reasoning: 'Fallback due to advisor error'
-      };
-    }
-
-    // Generate icons for the recommended buttons
-    const iconSpecs = advisorResult.buttons.map((btn: string, i: number) => ({
-      emoji: advisorResult.emojis[i],
-      name: btn.toLowerCase().replace(/\s+/g, '-')
-    }));
-
-    let images: string[];
-    try {
-      images = await ensureIcons(iconSpecs);
-    } catch (error) {
-      console.error('[MCP] Icon generation failed:', error);
-      images = ['', '', '', '']; // Fall back to text-only buttons
-    }
-
-    // Update current context
-    currentContext = {
-      type: context,
-      detail: detail,
-      buttons: advisorResult.buttons,
-      images: images,
-      timestamp: Date.now()
-    };
-
-    // Send to keyboard
-    sendToKeyboard({
-      type: 'update_options',
-      session_id: Date.now().toString(),
-      options: currentContext.buttons.map((text, index) => ({
-        text: text || '',
-        action: text || '',
-        image: currentContext.images[index] || '',
-        color: index === 0 ? '#00FFFF' : index === 1 ? '#FFFF00' : index === 2 ? '#FFFFFF' : '#00FF00'
-      }))
-    });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Keyboard updated to ${context} context.\nButtons: ${advisorResult.buttons.join(', ')}\nReasoning: ${advisorResult.reasoning}`
-        }
-      ]
-    };
-  }
-
-  if (name === 'set_keyboard_buttons') {
-    const { buttons, actions, images } = args as {
-      buttons: string[];
-      actions?: string[];
-      images?: string[];
-    };
-
-    console.log(`[MCP] set_keyboard_buttons: ${buttons.join(', ')}`);
-
-    const finalActions = actions || buttons;
-    const finalImages = images || ['', '', '', ''];
-
-    // Update current context
-    currentContext = {
-      type: 'custom',
-      detail: 'manually set',
-      buttons: buttons,
-      images: finalImages,
-      timestamp: Date.now()
-    };
-
-    // Send to keyboard
-    sendToKeyboard({
-      type: 'update_options',
-      session_id: Date.now().toString(),
-      options: buttons.map((text, index) => ({
-        text: text || '',
-        action: finalActions[index] || text || '',
-        image: finalImages[index] || '',
-        color: index === 0 ? '#00FFFF' : index === 1 ? '#FFFF00' : index === 2 ? '#FFFFFF' : '#00FF00'
-      }))
-    });
-
-    return {
-      content: [
-        {
-          type: 'text',
-          text: `Keyboard buttons set to: ${buttons.join(', ')}`
-        }
-      ]
-    };
-  }
-
-  if (name === 'get_keyboard_status') {
-    return {
-      content: [
-        {
-          type: 'text',
-          text: JSON.stringify({
-            connected: tkeyboardClient !== null,
-            sessionId: config.sessionId,
-            claudePid: config.claudePid,
-            currentContext: currentContext,
-            queueLength: inputQueue.length
-          }, null, 2)
-        }
-      ]
-    };
-  }
-
-  throw new Error(`Unknown tool: ${name}`);
+  return callTool(name, args, registerSession(config.sessionId, config.claudePid));
 });
 
-// Resources
 server.setRequestHandler(ListResourcesRequestSchema, async () => {
-  return {
-    resources: [
-      {
-        uri: 'tkeyboard://status',
-        mimeType: 'application/json',
-        name: 'Current keyboard status and configuration'
-      },
-      {
-        uri: 'tkeyboard://context',
-        mimeType: 'application/json',
-        name: 'Current context information'
-      }
-    ]
-  };
+  return { resources: RESOURCES };
 });
 
 server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
-  const { uri } = request.params;
-
-  if (uri === 'tkeyboard://status') {
-    return {
-      contents: [
-        {
-          uri,
-          mimeType: 'application/json',
-          text: JSON.stringify({
-            connected: tkeyboardClient !== null,
-            sessionId: config.sessionId,
-            currentButtons: currentContext.buttons,
-            currentContext: currentContext.type
-          }, null, 2)
-        }
-      ]
-    };
-  }
-
-  if (uri === 'tkeyboard://context') {
-    return {
-      contents: [
-        {
-          uri,
-          mimeType: 'application/json',
-          text: JSON.stringify(currentContext, null, 2)
-        }
-      ]
-    };
-  }
-
-  throw new Error(`Unknown resource: ${uri}`);
+  return readResource(request.params.uri, registerSession(config.sessionId, config.claudePid));
 });
 
 // Start MCP server
@@ -867,11 +2465,17 @@ main().catch((error) => {
 });
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+function shutdown() {
   console.log('\nShutting down...');
+  flushSave();
+  closeInputStreams();
+  stopGitWatcher?.();
   bonjour.unpublishAll();
   bonjour.destroy();
   wss.close();
   httpServer.close();
   process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,402 @@
+/**
+ * MCP tool and resource registry.
+ *
+ * Single source of tool schemas and resource listings for both the persistent
+ * server (stdio + POST /mcp/tool) and the stdio proxy. Handlers live in the
+ * server, keyed by ToolName so every tool here must have exactly one.
+ */
+
+import { MAX_OPTIONS } from './pages.js';
+import type { Session } from './sessions.js';
+
+export const CONTEXT_TYPES = [
+  'git_operations',
+  'debugging',
+  'testing',
+  'question_yesno',
+  'question_choice',
+  'file_operations',
+  'default'
+] as const;
+
+export const TOOLS = [
+  {
+    name: 'update_keyboard_context',
+    description: 'Update T-Keyboard buttons based on current work context. Uses the configured button advisor to determine optimal buttons.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        context: {
+          type: 'string',
+          enum: CONTEXT_TYPES,
+          description: 'High-level category of current work'
+        },
+        detail: {
+          type: 'string',
+          description: 'Specific information about the situation (e.g., "3 files modified", "401 auth error")'
+        }
+      },
+      required: ['context']
+    }
+  },
+  {
+    name: 'set_keyboard_buttons',
+    description: 'Directly set keyboard buttons (bypass AI advisor). Use for explicit control.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        buttons: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: MAX_OPTIONS,
+          description: 'Button labels. Up to 4 fill the keys; more are shown 3 per page with a "More ▶" key on key 4'
+        },
+        actions: {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              {
+                type: 'object',
+                properties: {
+                  type: { type: 'string', enum: ['type_text', 'key_sequence', 'macro', 'shell', 'mcp_callback'] }
+                },
+                required: ['type']
+              }
+            ]
+          },
+          description: 'What each button does, one per button. A string is typed followed by Enter ("STOP" sends Esc, "BACKGROUND" Ctrl+B). ' +
+            'Or an object: {type:"type_text", text, enter?:false}, {type:"key_sequence", keys:["escape"|"ctrl+c"|"up"|"tab"...]}, ' +
+            '{type:"macro", steps:[type_text | key_sequence | {type:"delay", ms}]}, {type:"shell", command:<name from shellActions config>} ' +
+            'or {type:"mcp_callback", name, data?} (press is reported via tkeyboard://callbacks instead of typed). Defaults to buttons if omitted.'
+        },
+        images: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Image filenames (e.g., "yes.rgb"), one per button. Empty string for no image.'
+        },
+        icons: {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: 'null' },
+              {
+                type: 'object',
+                properties: {
+                  emoji: { type: 'string', description: 'Drawn above the label; without one the label fills the key' },
+                  color: { type: 'string', description: 'Label color, e.g. "#FF0000" (default: the key color)' },
+                  background: { type: 'string' },
+                  border: { type: 'string', description: 'Frame color, e.g. to mark the default choice' },
+                  badge: { description: 'Count or short text in a circle at the top right, or {text, color}' },
+                  animation: {
+                    type: 'string',
+                    enum: ['spinner', 'pulse', 'sweep', 'blink', 'marquee', 'dots'],
+                    description: 'Animate the key instead (one button per layout): spinner, pulse or sweep (progress bar) above the label, ' +
+                      'blink the label, or marquee to scroll a label too long for the key'
+                  },
+                  frames: { type: 'number', description: 'Animation frames (default per animation, max 48)' },
+                  delay: { type: 'number', description: 'Animation ms per frame (50-2000)' }
+                }
+              }
+            ]
+          },
+          description: 'Icons drawn from each button\'s label, one per button (null keeps images). Overrides images'
+        },
+        long_press_actions: {
+          type: 'array',
+          description: 'Action per button when it is held (same forms as actions; null or "" for none). ' +
+            'E.g. tap "Yes", long press "Yes, and don\'t ask again". Without one, holding key 1 switches session.'
+        },
+        double_tap_actions: {
+          type: 'array',
+          description: 'Action per button when it is tapped twice quickly (null or "" for none). Only these keys wait to detect a double tap.'
+        },
+        chords: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              keys: { type: 'array', items: { type: 'number' }, description: 'Two physical keys (1-4) pressed together. 1+4 is reserved' },
+              action: { description: 'Action, same forms as actions' },
+              label: { type: 'string' }
+            },
+            required: ['keys', 'action']
+          },
+          description: 'Actions for two keys pressed together, on every page'
+        }
+      },
+      required: ['buttons']
+    }
+  },
+  {
+    name: 'create_keyboard_image',
+    description: 'Turn a PNG, JPEG or SVG (e.g. a project logo or custom glyph) into key art. Returns an image handle to put in ' +
+      'set_keyboard_buttons images (or ask_user_via_keyboard images). Give either data or path.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        data: {
+          type: 'string',
+          description: 'Base64 image data, optionally as a data: URL (max 5MB)'
+        },
+        path: {
+          type: 'string',
+          description: 'Absolute path of a local image file'
+        },
+        fit: {
+          type: 'string',
+          enum: ['cover', 'contain', 'fill'],
+          description: 'How the image fills the 128x128 key: contain (default) fits it whole on the background, cover crops it, fill stretches it'
+        },
+        background: {
+          type: 'string',
+          description: 'Color behind transparent areas and around contained images (default "#000000")'
+        },
+        dither: {
+          type: 'boolean',
+          description: 'Dither to the display\'s 16-bit color, for photos and gradients (default false)'
+        }
+      }
+    }
+  },
+  {
+    name: 'present_choices',
+    description: 'Show a question with numbered choices on the keyboard and wait until the user picks one. ' +
+      'The question appears on key 1 and the choices on the other keys (paged with "More ▶" if needed). ' +
+      'The pick is also typed into the terminal to answer a numbered prompt, then returned as the result.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        question: {
+          type: 'string',
+          description: 'Question shown on key 1'
+        },
+        choices: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 2,
+          maxItems: MAX_OPTIONS,
+          description: 'Choice labels, in the order of the numbered prompt'
+        },
+        selection: {
+          type: 'string',
+          enum: ['digit', 'arrows', 'none'],
+          description: 'Keystrokes typed for the pick: its number (default; arrows above 9 choices), Down presses + Enter, or nothing'
+        },
+        timeout_seconds: {
+          type: 'number',
+          description: 'How long to wait for a pick (default 120, max 240)'
+        }
+      },
+      required: ['question', 'choices']
+    }
+  },
+  {
+    name: 'ask_user_via_keyboard',
+    description: 'Ask the user a question on the keyboard: show buttons, wait for the next press and return the pressed button\'s action. ' +
+      'Nothing is typed into the terminal, and the previous buttons come back afterwards. Fails if nothing is pressed before the timeout.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        buttons: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          maxItems: MAX_OPTIONS,
+          description: 'Button labels (more than 4 are paged with a "More ▶" key)'
+        },
+        actions: {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'object', properties: { type: { type: 'string' } }, required: ['type'] }
+            ]
+          },
+          description: 'Value returned for each button: a string, or an action object as in set_keyboard_buttons (returned as JSON). Defaults to buttons'
+        },
+        images: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Image filenames, one per button. Empty string for no image.'
+        },
+        timeout_seconds: {
+          type: 'number',
+          description: 'How long to wait for a press (default 120, max 240)'
+        }
+      },
+      required: ['buttons']
+    }
+  },
+  {
+    name: 'show_keyboard_panel',
+    description: 'Show a text panel on one key instead of its button, e.g. the current file, branch, test results or token usage. ' +
+      'The buttons move to the other keys. Text is wrapped to fit (10 characters a line, 5 lines). Tapping the key clears the panel.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        key: {
+          type: 'number',
+          minimum: 1,
+          maximum: 4,
+          description: 'Key (1-4) whose display shows the panel'
+        },
+        title: {
+          type: 'string',
+          description: 'Heading (one line, up to 10 characters)'
+        },
+        content: {
+          type: 'string',
+          description: 'Panel text, e.g. "12 passed 1 failed"'
+        },
+        duration_seconds: {
+          type: 'number',
+          description: 'Clear the panel after this long (max 3600). Omit to keep it until cleared'
+        }
+      },
+      required: ['key', 'title', 'content']
+    }
+  },
+  {
+    name: 'clear_keyboard_panels',
+    description: 'Remove text panels shown with show_keyboard_panel and put the buttons back on those keys.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        keys: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Keys (1-4) to clear. Omit to clear all panels'
+        }
+      }
+    }
+  },
+  {
+    name: 'report_test_progress',
+    description: 'Report test run progress while the keyboard is in the testing context. During the run the keys show ' +
+      'passed, failed and skipped counts and a progress bar; once done they switch to Rerun failed / Show failure / Ignore / Stop. ' +
+      'Give counts, or a TAP or JUnit XML report (TAP may be sent in pieces as the run goes on).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        passed: { type: 'number', description: 'Tests passed so far' },
+        failed: { type: 'number', description: 'Tests failed so far' },
+        skipped: { type: 'number', description: 'Tests skipped so far' },
+        total: { type: 'number', description: 'Number of tests in the run, if known' },
+        done: { type: 'boolean', description: 'The run has finished' },
+        failures: {
+          type: 'array',
+          items: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'object', properties: { name: { type: 'string' }, message: { type: 'string' } }, required: ['name'] }
+            ]
+          },
+          description: 'Failed test names (and messages), used by the Rerun failed and Show failure keys'
+        },
+        report: {
+          type: 'string',
+          description: 'TAP output or JUnit XML report instead of counts. A JUnit report or a TAP plan that is complete finishes the run'
+        },
+        format: {
+          type: 'string',
+          enum: ['tap', 'junit'],
+          description: 'Format of report (default: JUnit if it starts with "<", else TAP)'
+        }
+      }
+    }
+  },
+  {
+    name: 'set_keyboard_status',
+    description: 'Show the RATE LIMIT screen (with countdown) or ERROR screen on the keyboard, or clear it and restore the previous buttons.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        mode: {
+          type: 'string',
+          enum: ['rate_limited', 'error', 'clear'],
+          description: 'rate_limited: show countdown until the limit resets, error: show error screen, clear: return to previous buttons'
+        },
+        countdown: {
+          type: 'number',
+          description: 'Seconds until the rate limit resets (rate_limited only). Omit if unknown to show elapsed time.'
+        },
+        message: {
+          type: 'string',
+          description: 'Optional reason, shown in status output'
+        }
+      },
+      required: ['mode']
+    }
+  },
+  {
+    name: 'select_keyboard_session',
+    description: 'Choose which Claude session the keyboard drives. Only the active session sees key presses; other sessions keep their buttons until selected.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        session: {
+          type: 'string',
+          description: 'Session ID or label (see get_keyboard_status). Omit to select the calling session.'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_keyboard_status',
+    description: 'Get current keyboard connection status, button configuration and registered sessions',
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    }
+  }
+] as const;
+
+export type ToolName = typeof TOOLS[number]['name'];
+
+export const RESOURCES = [
+  {
+    uri: 'tkeyboard://status',
+    mimeType: 'application/json',
+    name: 'Current keyboard status and configuration'
+  },
+  {
+    uri: 'tkeyboard://context',
+    mimeType: 'application/json',
+    name: 'Current context information'
+  },
+  {
+    uri: 'tkeyboard://callbacks',
+    mimeType: 'application/json',
+    name: 'Recent presses of mcp_callback buttons'
+  }
+];
+
+/**
+ * MCP CallTool result
+ */
+export interface ToolResult {
+  content: Array<{ type: 'text'; text: string }>;
+  isError?: boolean;
+  [key: string]: unknown;  // MCP results are passthrough objects
+}
+
+// session is the calling Claude session (the one the proxy registered)
+export type ToolHandler = (args: any, session: Session) => Promise<ToolResult>;
+
+export function textResult(text: string): ToolResult {
+  return { content: [{ type: 'text', text }] };
+}
+
+export function jsonResult(data: any): ToolResult {
+  return textResult(JSON.stringify(data, null, 2));
+}
+
+export function errorResult(message: string): ToolResult {
+  return { content: [{ type: 'text', text: `Error: ${message}` }], isError: true };
+}
+
+export function isToolName(name: string): name is ToolName {
+  return TOOLS.some(tool => tool.name === name);
+}
@@ -0,0 +1,20 @@
+// Built-in advisor rules against git watcher details (run with `npm test`, which builds first)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILTIN_RULES, matchRule } from '../build/advisor-rules.js';
+
+const advise = detail => matchRule(BUILTIN_RULES, 'git_operations', detail);
+
+test('branch names never pick git rules', () => {
+  for (const branch of ['fix/push-retry', 'pull-request-ui', 'fix/conflict-ui', 'merge-conflict-docs']) {
+    assert.equal(advise(`on ${branch}: clean`).reasoning, 'Working tree clean', branch);
+  }
+  assert.deepEqual(advise('on fix/push-retry: 3 commits behind').buttons, ['Pull 3', 'Rebase', 'Show log', 'Skip']);
+});
+
+test('repository state picks git rules', () => {
+  assert.deepEqual(advise('on main: 2 commits ahead').buttons, ['Push 2', 'Show log', 'Pull first', 'Skip']);
+  assert.deepEqual(advise('on main: 1 commit behind').buttons, ['Pull 1', 'Rebase', 'Show log', 'Skip']);
+  assert.equal(advise('on main: 1 file changed, 2 commits ahead').buttons[0], 'Commit (1 file)');
+  assert.equal(advise('git merge: merge conflict; on main: 2 merge conflicts').reasoning, 'Merge conflict');
+});